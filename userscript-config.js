@@ -15,8 +15,54 @@ class UserScriptConfig {
         this.groupStates = new Map();
         this.isInitialized = false;
         this.configId = config.configId;
-        this.setValueIntoStorage = null;
-        this.getValueFromStorage = null;
+        this.storage = null;
+        this.dialogRoot = null;
+        this.dialogHost = null;
+
+        // Unique per instance, used to namespace DOM ids
+        UserScriptConfig.instanceCounter = (UserScriptConfig.instanceCounter || 0) + 1;
+        this.instanceToken = UserScriptConfig.instanceCounter;
+        this.changeListeners = [];
+        this.dirtyFields = new Set();
+        this.disabledFields = new Set();
+        this.hiddenFields = new Set();
+        this.hiddenGroups = new Set();
+        // The top-level group shown as the selected tab with `layout: 'tabs'`
+        this.selectedTabId = null;
+        // The text in the dialog's search box
+        this.searchQuery = '';
+        this.fieldErrors = new Map();
+        this.crossFieldErrors = new Map();
+        this.asyncValidatorIds = new Set();
+        this.pendingValidations = new Map();
+        this.validationTimers = new Map();
+        this.settingSubscribers = new Map();
+        this.anySettingSubscribers = new Set();
+        // Invalid `matches` patterns of conditions that were already reported
+        this.invalidConditionPatterns = new Set();
+        // Id of the hotkey setting whose recorder is capturing keys, if any
+        this.recordingHotkeyId = null;
+        // Per-site overrides of `scopable` settings: setting ID -> Map of scope -> value
+        this.siteOverrides = new Map();
+        // The scope edited in the open dialog: null for the global values, otherwise the site scope
+        this.dialogScope = null;
+        // Overrides for the site scope (undefined for none) and global values of
+        // scopable settings that were edited in the open dialog but not saved yet
+        this.pendingOverrides = new Map();
+        this.pendingGlobalValues = new Map();
+        // Named sets of values, see switchProfile(). The `default` profile uses the plain storage keys.
+        this.profiles = [];
+        this.activeProfileId = 'default';
+        // The locale set with setLocale(), if any
+        this.locale = null;
+        // The element that had the focus before the dialog opened, focused again when it closes
+        this.focusReturnElement = null;
+
+        // Field types registered for this instance only, see registerFieldType()
+        this.fieldTypes = new Map();
+        Object.keys(config.fieldTypes || {}).forEach(name => {
+            this.registerFieldType(name, config.fieldTypes[name]);
+        });
 
         // Define SVG icons to remove external dependency
         this.collapsedIconSVG = `
@@ -37,801 +83,5527 @@ class UserScriptConfig {
         `;
     }
 
+    /**
+     * Picks the storage adapter used for persistence. An adapter passed in
+     * `config.storage` (either an adapter object or the name of a built-in one)
+     * takes precedence, otherwise the best available backend is detected.
+     */
     setupStorageFunctions() {
-        if (typeof GM_setValue === 'function' && typeof GM_getValue === 'function') {
-            console.debug('Using GM_setValue and GM_getValue for UserScriptConfig settings');
+        const storage = this.config.storage;
+        if (storage && typeof storage === 'object') {
+            this.storage = storage;
+        } else if (typeof storage === 'string') {
+            this.storage = UserScriptConfig.createStorageAdapter(storage);
+        } else if (typeof GM_setValue === 'function' && typeof GM_getValue === 'function') {
             // Use TamperMonkey's official API if available.
-            this.setValueIntoStorage = GM_setValue;
-            this.getValueFromStorage = GM_getValue;
+            this.storage = UserScriptConfig.createStorageAdapter('gm');
+        } else if (typeof GM !== 'undefined' && GM && typeof GM.setValue === 'function' && typeof GM.getValue === 'function') {
+            // Greasemonkey 4 only provides the promise based API.
+            this.storage = UserScriptConfig.createStorageAdapter('gm-async');
         } else {
-            console.debug('Using localStorage for UserScriptConfig settings');
-            this.setValueIntoStorage = (key, value) => { localStorage.setItem(key, value); };
-            this.getValueFromStorage = (key, defaultValue) => {
-                const storedValue = localStorage.getItem(key);
-                if (storedValue === null || storedValue === undefined) {
-                    return defaultValue;
-                }
-
-                // Convert 'boolean' string values back to boolean
-                if (storedValue === "true" || storedValue === "false") {
-                    return storedValue === "true";
-                }
+            this.storage = UserScriptConfig.createStorageAdapter('localStorage');
+        }
 
-                // For all other types the storedValue is fine.
-                return storedValue;
-            };
+        if (!this.storage) {
+            console.warn('No usable storage adapter found, falling back to in-memory storage for UserScriptConfig settings');
+            this.storage = UserScriptConfig.createStorageAdapter('memory');
         }
     }
 
     /**
-     * Initializes the settings manager with configuration and callbacks
-     * @param {string} configId - Unique identifier for this settings instance (used for storage namespacing)
-     * @param {Object} config - JSON configuration object
-     * @param {Object} callbacks - Optional callback functions {onDialogOpened, onDialogClosed, onSettingsSaved, onSettingChanged}
+     * Creates one of the built-in storage adapters. Every adapter exposes
+     * `get(key, defaultValue)`, `set(key, value)`, `delete(key)` and `list()`,
+     * any of which may return a Promise.
+     * @param {string} type - One of `gm`, `gm-async`, `localStorage`, `sessionStorage` or `memory`
+     * @returns {Object|null} The storage adapter, or null if the type is unknown
      */
-    init() {
-        this.isInitialized = true;
+    static createStorageAdapter(type) {
+        switch (type) {
+            case 'gm':
+                console.debug('Using GM_setValue and GM_getValue for UserScriptConfig settings');
+                return {
+                    get: (key, defaultValue) => GM_getValue(key, defaultValue),
+                    set: (key, value) => GM_setValue(key, value),
+                    delete: (key) => {
+                        if (typeof GM_deleteValue === 'function') {
+                            GM_deleteValue(key);
+                        } else {
+                            GM_setValue(key, undefined);
+                        }
+                    },
+                    list: () => (typeof GM_listValues === 'function' ? GM_listValues() : []),
+                    watch: (key, callback) => UserScriptConfig.watchGMValue(key, callback)
+                };
+
+            case 'gm-async':
+                console.debug('Using GM.setValue and GM.getValue for UserScriptConfig settings');
+                return {
+                    get: (key, defaultValue) => GM.getValue(key, defaultValue),
+                    set: (key, value) => GM.setValue(key, value),
+                    delete: (key) => GM.deleteValue(key),
+                    list: () => GM.listValues(),
+                    watch: (key, callback) => UserScriptConfig.watchGMValue(key, callback)
+                };
+
+            case 'localStorage':
+                console.debug('Using localStorage for UserScriptConfig settings');
+                return UserScriptConfig.createWebStorageAdapter(window.localStorage);
+
+            case 'sessionStorage':
+                console.debug('Using sessionStorage for UserScriptConfig settings');
+                return UserScriptConfig.createWebStorageAdapter(window.sessionStorage);
+
+            case 'memory':
+                console.debug('Using in-memory storage for UserScriptConfig settings');
+                const memory = new Map();
+                return {
+                    get: (key, defaultValue) => (memory.has(key) ? memory.get(key) : defaultValue),
+                    set: (key, value) => { memory.set(key, value); },
+                    delete: (key) => { memory.delete(key); },
+                    list: () => Array.from(memory.keys())
+                };
 
-        this.setupStorageFunctions();
+            default:
+                console.warn('Unrecognized storage type: ' + type + ', cannot create storage adapter');
+                return null;
+        }
+    }
 
-        this.setupValidationState();
+    /**
+     * Wraps a Web Storage object (localStorage or sessionStorage) into a
+     * storage adapter. Values are stored as JSON behind a `usc-json:` prefix,
+     * so they keep their type and can be told apart from the plain strings
+     * written by older versions.
+     * @param {Storage} webStorage - The Web Storage object
+     * @returns {Object} The storage adapter
+     */
+    static createWebStorageAdapter(webStorage) {
+        const jsonPrefix = 'usc-json:';
+        const parse = (storedValue) => {
+            if (storedValue === null || storedValue === undefined) return undefined;
+            // Values written by older versions are plain strings, even if they look like JSON
+            if (!storedValue.startsWith(jsonPrefix)) return storedValue;
+            try {
+                return JSON.parse(storedValue.slice(jsonPrefix.length));
+            } catch (error) {
+                return storedValue;
+            }
+        };
 
-        // Read from storage and save into the object.
-        this.readFromStore();
-        if (this.callbacks.onSettingsLoaded && typeof this.callbacks.onSettingsLoaded === 'function') {
-            this.callbacks.onSettingsLoaded();
+        return {
+            get: (key, defaultValue) => {
+                const value = parse(webStorage.getItem(key));
+                return value === undefined ? defaultValue : value;
+            },
+            set: (key, value) => {
+                if (value === undefined) {
+                    webStorage.removeItem(key);
+                } else {
+                    webStorage.setItem(key, jsonPrefix + JSON.stringify(value));
+                }
+            },
+            delete: (key) => { webStorage.removeItem(key); },
+            list: () => {
+                const keys = [];
+                for (let i = 0; i < webStorage.length; i++) {
+                    keys.push(webStorage.key(i));
+                }
+                return keys;
+            },
+            watch: (key, callback) => {
+                // The storage event only fires for changes made by other tabs
+                const listener = (event) => {
+                    if (event.storageArea !== webStorage || event.key !== key) return;
+                    callback(parse(event.newValue), parse(event.oldValue), true);
+                };
+                window.addEventListener('storage', listener);
+                return () => window.removeEventListener('storage', listener);
+            }
+        };
+    }
+
+    /**
+     * Subscribes to changes of a GM stored value, if the userscript manager supports it
+     * @param {string} key - The storage key
+     * @param {Function} callback - Called with `(newValue, oldValue, isRemote)`
+     * @returns {Function|null} Unsubscribe function, or null if change listeners aren't available
+     */
+    static watchGMValue(key, callback) {
+        if (typeof GM_addValueChangeListener !== 'function') {
+            return null;
         }
+
+        const listenerId = GM_addValueChangeListener(key, (name, oldValue, newValue, remote) => {
+            callback(newValue, oldValue, remote);
+        });
+        return () => {
+            if (typeof GM_removeValueChangeListener === 'function') {
+                GM_removeValueChangeListener(listenerId);
+            }
+        };
     }
 
     /**
-     * Generates the namespaced storage key
-     * @param {string} settingId - The setting ID
-     * @returns {string} Namespaced key
+     * Reads a value through the storage adapter
+     * @param {string} key - The namespaced storage key
+     * @param {any} defaultValue - Returned if nothing is stored under the key
+     * @returns {Promise<any>} The stored value
      */
-    getStorageKey(settingId) {
-        return `${this.configId}.${settingId}`;
+    async getValueFromStorage(key, defaultValue) {
+        const value = await this.storage.get(key, defaultValue);
+        return value === undefined ? defaultValue : value;
     }
 
-    hasValidGroups() {
-        return this.config.groups && Array.isArray(this.config.groups);
+    /**
+     * Writes a value through the storage adapter
+     * @param {string} key - The namespaced storage key
+     * @param {any} value - The value to store
+     */
+    async setValueIntoStorage(key, value) {
+        await this.storage.set(key, value);
     }
 
-    shouldGroupBeExpanded(group) {
-        let shouldBeExpanded = true; // default
-        // If the group mentions a `collapsedIf` setting, that takes precedence.
-        if (group.collapsedIf) {
-            // Format- `collapsedIf: { otherElementId: '<id>', value: <value> }`
-            const otherFieldValue = this.getFieldValue(group.collapsedIf.otherElementId);
-            shouldBeExpanded = otherFieldValue !== group.collapsedIf.value;
+    /**
+     * Removes a value through the storage adapter
+     * @param {string} key - The namespaced storage key
+     */
+    async deleteValueFromStorage(key) {
+        if (typeof this.storage.delete === 'function') {
+            await this.storage.delete(key);
         } else {
-            // If it's not a conditional collapse, fetch the remembered setting, if any
-            const storageKey = this.getStorageKey(`groupState.${group.id}`);
-            const defaultExpanded = (group.expanded === undefined || group.expanded === null) ? true : group.expanded;
-            shouldBeExpanded = this.getValueFromStorage(storageKey, defaultExpanded);
+            await this.storage.set(key, undefined);
         }
+    }
 
-        return shouldBeExpanded;
+    /**
+     * Returns the schema version of the config (`config.version`, defaults to 1)
+     */
+    getSchemaVersion() {
+        const version = Number(this.config.version);
+        return Number.isInteger(version) && version > 0 ? version : 1;
     }
 
     /**
-     * Reads values from storage and caches them into the
-     * in memory config object
+     * Returns the migrations from `config.migrations` that upgrade values from
+     * `fromVersion` to the current schema version, in the order they must run.
+     * @param {number} fromVersion - The schema version the values are at
+     * @returns {Array<{version: number, migration: Object}>}
      */
-    readFromStore() {
-        if (!this.isInitialized || !this.config.settings) {
-            console.warn('Settings not initialized. Call init() first.');
-            return this;
+    getPendingMigrations(fromVersion) {
+        const migrations = this.config.migrations || {};
+        const targetVersion = this.getSchemaVersion();
+        return Object.keys(migrations)
+            .map(Number)
+            .filter(version => version > fromVersion && version <= targetVersion)
+            .sort((a, b) => a - b)
+            .map(version => ({ version, migration: migrations[version] }));
+    }
+
+    /**
+     * Runs all migrations that haven't been applied to the stored values yet,
+     * and records the schema version reached so each migration only runs once.
+     */
+    async runMigrations() {
+        const versionKey = this.getStorageKey('meta.schemaVersion');
+        const targetVersion = this.getSchemaVersion();
+
+        let storedVersion;
+        try {
+            // Values stored before versioning was introduced are at version 1
+            storedVersion = Number(await this.getValueFromStorage(versionKey, 1)) || 1;
+        } catch (error) {
+            console.error('Error reading the schema version from storage:', error);
+            return;
         }
 
-        this.config.settings.forEach(setting => {
+        if (storedVersion >= targetVersion) return;
+
+        // Accessors that let migrations work directly on the stored values of each profile
+        const storedValuesOfProfiles = this.profiles.map(profile => ({
+            get: (id) => this.getValueFromStorage(this.getValueStorageKey(id, profile.id), undefined),
+            set: (id, value) => this.setValueIntoStorage(this.getValueStorageKey(id, profile.id), value),
+            delete: (id) => this.deleteValueFromStorage(this.getValueStorageKey(id, profile.id))
+        }));
+
+        for (const { version, migration } of this.getPendingMigrations(storedVersion)) {
             try {
-                const storageKey = this.getStorageKey(setting.id);
-                const value = this.getValueFromStorage(storageKey, setting.defaultValue);
-                this.values.set(setting.id, value);
+                for (const storedValues of storedValuesOfProfiles) {
+                    await this.applyMigration(migration, storedValues);
+                }
+                await this.setValueIntoStorage(versionKey, version);
             } catch (error) {
-                console.error(`Error reading from storage for ${setting.id}:`, error);
-                this.values.set(setting.id, setting.defaultValue);
+                // Stop here, so the failed migration is retried next time
+                console.error(`Error running migration to version ${version}:`, error);
+                return;
             }
-        });
-
-        // Read group states from storage
-        this.readGroupStatesToConfig();
+        }
 
-        return this;
+        await this.setValueIntoStorage(versionKey, targetVersion);
     }
 
-    readGroupStatesToConfig() {
-        if (this.hasValidGroups()) {
-            this.config.groups.forEach(group => {
-                try {
-                    this.groupStates.set(group.id, this.shouldGroupBeExpanded(group));
-                } catch (error) {
-                    console.error(`Error reading group state from storage for ${group.id}:`, error);
-                    this.groupStates.set(group.id, true);
+    /**
+     * Applies a single declarative migration. Renames run first, then
+     * transforms, then drops.
+     * Format- `{ rename: { oldId: 'newId' }, transform: { id: (value) => newValue }, drop: ['id'] }`
+     * A transform returning `undefined` removes the value.
+     * @param {Object} migration - The migration definition
+     * @param {Object} values - Accessor with async `get(id)`, `set(id, value)` and `delete(id)`
+     */
+    async applyMigration(migration, values) {
+        if (!migration) return;
+
+        if (migration.rename) {
+            for (const [oldId, newId] of Object.entries(migration.rename)) {
+                const value = await values.get(oldId);
+                if (value !== undefined) {
+                    await values.set(newId, value);
+                    await values.delete(oldId);
                 }
-            });
+            }
+        }
+
+        if (migration.transform) {
+            for (const [id, transform] of Object.entries(migration.transform)) {
+                const value = await values.get(id);
+                if (value === undefined || typeof transform !== 'function') continue;
+
+                const newValue = await transform(value);
+                if (newValue === undefined) {
+                    await values.delete(id);
+                } else {
+                    await values.set(id, newValue);
+                }
+            }
+        }
+
+        if (Array.isArray(migration.drop)) {
+            for (const id of migration.drop) {
+                await values.delete(id);
+            }
         }
     }
 
     /**
-     * Writes memory object values to storage
+     * Initializes the settings manager with configuration and callbacks
+     * @param {string} configId - Unique identifier for this settings instance (used for storage namespacing)
+     * @param {Object} config - JSON configuration object
+     * @param {Object} callbacks - Optional callback functions {onDialogOpened, onDialogClosed, onSettingsSaved, onSettingChanged}
+     * @returns {Promise<UserScriptConfig>} Resolves once the values have been read from storage
      */
-    writeToStorage() {
-        if (!this.isInitialized) {
-            console.warn('Settings not initialized. Call init() first.');
-            return this;
+    async init() {
+        // Not ready (and refusing to open the dialog or set values) until the values are loaded
+        this.isInitialized = false;
+
+        this.setupStorageFunctions();
+
+        this.setupValidationState();
+
+        // A synchronous backend is read right away, so callers that don't await init() still get the values
+        if (!this.readFromStoreSync()) {
+            // The active profile decides where values are read from
+            await this.readProfiles();
+
+            // Bring stored values up to the current config schema before reading them
+            await this.runMigrations();
+
+            // Read from storage and save into the object.
+            await this.readFromStore();
         }
 
-        this.values.forEach((value, id) => {
+        this.isInitialized = true;
+
+        // Keep the values in sync with changes made in other tabs
+        this.setupChangeListeners();
+        if (this.callbacks.onSettingsLoaded && typeof this.callbacks.onSettingsLoaded === 'function') {
+            this.callbacks.onSettingsLoaded();
+        }
+
+        return this;
+    }
+
+    /**
+     * Subscribes to change notifications of the storage backend (if it supports
+     * them) for every setting and group state
+     */
+    setupChangeListeners() {
+        this.removeChangeListeners();
+        if (!this.storage || typeof this.storage.watch !== 'function') return;
+
+        const watch = (key, callback) => {
             try {
-                const storageKey = this.getStorageKey(id);
-                this.setValueIntoStorage(storageKey, value);
+                const unsubscribe = this.storage.watch(key, (newValue, oldValue, isRemote) => {
+                    // Our own writes are already reflected in memory
+                    if (isRemote === false) return;
+                    callback(newValue);
+                });
+                if (typeof unsubscribe === 'function') {
+                    this.changeListeners.push(unsubscribe);
+                }
             } catch (error) {
-                console.error(`Error writing to storage for ${id}:`, error);
+                console.error(`Error subscribing to storage changes for ${key}:`, error);
             }
-        });
+        };
 
-        // Write group states to storage
-        this.groupStates.forEach((state, id) => {
+        if (this.config.settings) {
+            this.config.settings.forEach(setting => {
+                watch(this.getValueStorageKey(setting.id), newValue => this.handleExternalChange(setting, newValue));
+                if (setting.scopable) {
+                    watch(this.getValueStorageKey(`siteOverrides.${setting.id}`), newValue => this.handleExternalOverrideChange(setting, newValue));
+                }
+            });
+        }
+
+        watch(this.getStorageKey('meta.profiles'), newValue => this.handleExternalProfilesChange(newValue));
+
+        if (this.hasValidGroups()) {
+            this.config.groups.forEach(group => {
+                watch(this.getStorageKey(`groupState.${group.id}`), newValue => this.handleExternalGroupStateChange(group, newValue));
+            });
+        }
+    }
+
+    /**
+     * Removes all storage change subscriptions
+     */
+    removeChangeListeners() {
+        this.changeListeners.forEach(unsubscribe => {
             try {
-                const storageKey = this.getStorageKey(`groupState.${id}`);
-                this.setValueIntoStorage(storageKey, state);
+                unsubscribe();
             } catch (error) {
-                console.error(`Error writing group state to storage for ${id}:`, error);
+                console.error('Error removing storage change listener:', error);
             }
         });
-
-        return this;
+        this.changeListeners = [];
     }
 
     /**
-     * Resets all values in the Config object to their defaults
+     * Applies a setting value that was changed outside this instance (e.g. in another tab)
+     * @param {Object} setting - The setting definition
+     * @param {any} newValue - The new stored value (undefined if it was deleted)
      */
-    resetToDefaults() {
-        if (!this.isInitialized || !this.config.settings) {
-            console.warn('Settings not initialized. Call init() first.');
-            return this;
-        }
+    handleExternalChange(setting, newValue) {
+        const oldValue = this.values.get(setting.id);
+        const coercedValue = newValue === undefined ? undefined : this.deserializeValue(setting, newValue);
+        const value = (coercedValue === null || coercedValue === undefined) ? this.coerceValue(setting, setting.defaultValue) : coercedValue;
+        if (this.valuesEqual(oldValue, value)) return;
 
-        this.config.settings.forEach(setting => {
-            this.values.set(setting.id, setting.defaultValue);
-        });
+        const previousValues = new Map([[setting.id, this.getFieldValue(setting.id)]]);
+        this.values.set(setting.id, value);
 
-        // Reset group states to their default in config
-        this.readGroupStatesToConfig();
+        this.refreshDialogField(setting);
 
-        return this;
+        // Execute onExternalChange callback
+        if (this.callbacks.onExternalChange && typeof this.callbacks.onExternalChange === 'function') {
+            this.callbacks.onExternalChange(setting.id, oldValue, value);
+        }
+
+        this.notifyValueChanges(previousValues, 'external');
     }
 
     /**
-     * Updates a specific setting value in the cache
-     * @param {string} id - Setting ID
-     * @param {any} value - New value
+     * Applies per-site overrides of a setting that were changed outside this instance
+     * @param {Object} setting - The setting definition
+     * @param {any} newValue - The new stored overrides (undefined if they were deleted)
      */
-    setFieldValue(id, value) {
-        if (!this.isInitialized) {
-            console.warn('Settings not initialized. Call init() first.');
-            return this;
+    handleExternalOverrideChange(setting, newValue) {
+        const previousValues = new Map([[setting.id, this.getFieldValue(setting.id)]]);
+        this.setSiteOverridesFromStorage(setting, newValue);
+
+        if (this.currentDialog && !this.isFieldBeingEdited(setting)) {
+            this.pendingOverrides.set(setting.id, this.getSiteOverride(setting.id));
+            this.refreshDialogField(setting);
+            this.updateScopeIndicators();
         }
 
-        this.values.set(id, value);
-        return this;
+        this.notifyValueChanges(previousValues, 'external');
     }
 
     /**
-     * Gets a field value by ID
-     * @param {string} id - Setting ID
-     * @returns {any} The field value
+     * Shows a setting's current value in the open dialog, unless the user is
+     * busy editing that field
      */
-    getFieldValue(id) {
-        return this.values.get(id);
-    }
+    refreshDialogField(setting) {
+        if (!this.currentDialog || this.isFieldBeingEdited(setting)) return;
 
-    /**
-     * Gets all field values as an object
-     * @returns {Object} All field values
-     */
-    getAllFieldValues() {
-        const values = {};
-        this.values.forEach((value, id) => {
-            values[id] = value;
-        });
-        return values;
+        this.setInputValue(setting, this.getDialogScopeValue(setting));
+        this.validateInput(setting);
+        this.updateDependentStates(setting);
     }
 
     /**
-     * Creates and displays the settings dialog using field values
+     * Applies a group expanded/collapsed state that was changed in another tab
+     * @param {Object} group - The group definition
+     * @param {any} newValue - The new stored state
      */
-    openSettingsDialog() {
-        if (!this.isInitialized) {
-            console.warn('Settings not initialized. Call init() first.');
-            return null;
-        }
+    handleExternalGroupStateChange(group, newValue) {
+        if (typeof newValue !== 'boolean') return;
 
-        // Remove any existing dialog
-        if (this.currentDialog) {
-            this.currentDialog.remove();
+        this.groupStates.set(group.id, newValue);
+
+        // Groups with `collapsedIf` follow their condition instead
+        if (this.currentDialog && !group.collapsedIf) {
+            this.setDialogGroupState(group.id, newValue);
         }
+    }
 
-        // Create dialog structure
-        this.currentDialog = this.createDialogStructure(this.config);
+    /**
+     * Checks whether the user has changed (or is focused on) a field in the open dialog
+     */
+    isFieldBeingEdited(setting) {
+        if (this.dirtyFields.has(setting.id)) return true;
 
-        // Add to DOM
-        document.body.appendChild(this.currentDialog);
+        const inputElement = this.getInputElementById(setting.id);
+        const activeElement = this.getDialogRoot().activeElement;
+        return !!(inputElement && activeElement && inputElement.contains(activeElement));
+    }
 
-        // Populate with field values
-        this.updateSettingsToDialog();
+    /**
+     * Compares two setting values, including arrays and objects
+     */
+    valuesEqual(a, b) {
+        if (a === b) return true;
+        if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
 
-        // Set up conditional logic
-        this.setupConditionalLogic();
+    /**
+     * Removes the storage change subscriptions and closes the dialog.
+     * The instance can't be used anymore until init() is called again.
+     */
+    destroy() {
+        this.removeChangeListeners();
+        if (this.currentDialog) {
+            this.closeDialog();
+        }
+        this.isInitialized = false;
+    }
 
-        // Set up keyboard event handlers
-        this.setupKeyboardHandlers();
+    /**
+     * Generates the namespaced storage key
+     * @param {string} settingId - The setting ID
+     * @returns {string} Namespaced key
+     */
+    getStorageKey(settingId) {
+        return `${this.configId}.${settingId}`;
+    }
 
-        // Set up validation
-        this.setupValidation();
+    /**
+     * Generates the storage key of a value that belongs to a profile (setting
+     * values and their per-site overrides). Group states and other UI state are
+     * shared by all profiles and use getStorageKey() directly.
+     * @param {string} key - The setting ID (or e.g. `siteOverrides.<id>`)
+     * @param {string} [profileId] - The profile, defaults to the active one
+     * @returns {string} Namespaced key
+     */
+    getValueStorageKey(key, profileId = this.activeProfileId) {
+        // The default profile keeps the keys used before profiles existed
+        return profileId === 'default' ? this.getStorageKey(key) : this.getStorageKey(`profile.${profileId}.${key}`);
+    }
 
-        // Execute onDialogOpened callback
-        if (this.callbacks.onDialogOpened && typeof this.callbacks.onDialogOpened === 'function') {
-            this.callbacks.onDialogOpened();
+    /**
+     * Reads the list of profiles and the active profile from storage
+     */
+    async readProfiles() {
+        try {
+            this.setProfilesFromStorage(await this.getValueFromStorage(this.getStorageKey('meta.profiles'), null));
+        } catch (error) {
+            console.error('Error reading profiles from storage:', error);
+            this.setProfilesFromStorage(null);
         }
-
-        return this.currentDialog;
     }
 
     /**
-     * Updates field values from the dialog inputs (doesn't write to storage)
+     * Replaces the in-memory profile list with the stored one. The default profile always exists.
+     * @param {Object} storedProfiles - `{ active, list: [{ id, name }] }`
      */
-    updateSettingsFromDialog() {
-        if (!this.currentDialog || !this.config.settings) {
-            console.warn('No dialog open or settings not initialized.');
-            return this;
+    setProfilesFromStorage(storedProfiles) {
+        const list = storedProfiles && Array.isArray(storedProfiles.list) ? storedProfiles.list : [];
+        this.profiles = list
+            .filter(profile => profile && typeof profile.id === 'string' && profile.id)
+            .map(profile => ({ id: profile.id, name: typeof profile.name === 'string' && profile.name ? profile.name : profile.id }));
+        if (!this.profiles.some(profile => profile.id === 'default')) {
+            this.profiles.unshift({ id: 'default', name: this.translate(this.config.defaultProfileName) || this.getMessage('usc.defaultProfile') });
         }
 
-        this.config.settings.forEach(setting => {
-            const value = this.getInputValue(setting);
-            this.values.set(setting.id, value);
+        const activeProfileId = storedProfiles && storedProfiles.active;
+        this.activeProfileId = this.profiles.some(profile => profile.id === activeProfileId) ? activeProfileId : 'default';
+    }
+
+    /**
+     * Writes the list of profiles and the active profile to storage
+     */
+    async storeProfiles() {
+        await this.setValueIntoStorage(this.getStorageKey('meta.profiles'), {
+            active: this.activeProfileId,
+            list: this.profiles.map(profile => ({ id: profile.id, name: profile.name }))
         });
+    }
 
-        return this;
+    /**
+     * Returns all profiles
+     * @returns {Array<{id: string, name: string, active: boolean}>}
+     */
+    getProfiles() {
+        return this.profiles.map(profile => ({ id: profile.id, name: profile.name, active: profile.id === this.activeProfileId }));
     }
 
     /**
-     * Updates dialog inputs from field values
+     * Returns the ID of the active profile
      */
-    updateSettingsToDialog() {
-        if (!this.currentDialog || !this.config.settings) {
-            console.warn('No dialog open or settings not initialized.');
+    getActiveProfile() {
+        return this.activeProfileId;
+    }
+
+    /**
+     * Derives an unused profile ID from a profile name
+     */
+    createProfileId(name) {
+        const baseId = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+        let id = baseId;
+        for (let index = 2; this.profiles.some(profile => profile.id === id); index++) {
+            id = `${baseId}-${index}`;
+        }
+        return id;
+    }
+
+    /**
+     * Creates a profile. A new profile starts with the default values, unless
+     * the stored values of another profile are copied into it.
+     * @param {string} name - The name shown to users
+     * @param {Object} [options] - `{ copyFrom: '<profile ID>' }` copies that profile's stored values
+     * @returns {Promise<string|null>} The ID of the new profile, or null if it couldn't be created
+     */
+    async createProfile(name, options = {}) {
+        if (!this.isInitialized) {
+            console.warn('Settings not initialized. Call init() first.');
+            return null;
+        }
+
+        const profileName = typeof name === 'string' ? name.trim() : '';
+        if (!profileName) {
+            console.warn('createProfile() expects a profile name');
+            return null;
+        }
+        if (options.copyFrom && !this.profiles.some(profile => profile.id === options.copyFrom)) {
+            console.warn(`Unknown profile: ${options.copyFrom}`);
+            return null;
+        }
+
+        const id = this.createProfileId(profileName);
+        try {
+            if (options.copyFrom) {
+                await this.copyProfileValues(options.copyFrom, id);
+            }
+            this.profiles.push({ id, name: profileName });
+            await this.storeProfiles();
+        } catch (error) {
+            console.error(`Error creating profile ${profileName}:`, error);
+            return null;
+        }
+
+        this.updateProfileControls();
+        return id;
+    }
+
+    /**
+     * Creates a copy of a profile with its stored values
+     * @param {string} id - The profile to copy
+     * @param {string} [name] - The name of the copy, defaults to `<name> (copy)`
+     * @returns {Promise<string|null>} The ID of the new profile, or null if it couldn't be created
+     */
+    async duplicateProfile(id, name) {
+        const profile = this.profiles.find(p => p.id === id);
+        if (!profile) {
+            console.warn(`Unknown profile: ${id}`);
+            return null;
+        }
+        return this.createProfile(name || this.getMessage('usc.profileCopy', { name: profile.name }), { copyFrom: id });
+    }
+
+    /**
+     * Renames a profile. Its ID (and so its storage keys) stay the same.
+     * @param {string} id - Profile ID
+     * @param {string} name - The new name
+     * @returns {Promise<boolean>} True if the profile was renamed
+     */
+    async renameProfile(id, name) {
+        const profile = this.profiles.find(p => p.id === id);
+        const profileName = typeof name === 'string' ? name.trim() : '';
+        if (!profile || !profileName) {
+            console.warn(profile ? 'renameProfile() expects a profile name' : `Unknown profile: ${id}`);
+            return false;
+        }
+
+        profile.name = profileName;
+        try {
+            await this.storeProfiles();
+        } catch (error) {
+            console.error(`Error renaming profile ${id}:`, error);
+        }
+
+        this.updateProfileControls();
+        return true;
+    }
+
+    /**
+     * Deletes a profile and its stored values. The default profile can't be
+     * deleted; deleting the active profile switches to the default one.
+     * @param {string} id - Profile ID
+     * @returns {Promise<boolean>} True if the profile was deleted
+     */
+    async deleteProfile(id) {
+        if (id === 'default' || !this.profiles.some(profile => profile.id === id)) {
+            console.warn(id === 'default' ? 'The default profile can\'t be deleted' : `Unknown profile: ${id}`);
+            return false;
+        }
+
+        if (this.activeProfileId === id) {
+            await this.switchProfile('default');
+        }
+
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        try {
+            await this.storeProfiles();
+            await this.deleteProfileValues(id);
+        } catch (error) {
+            console.error(`Error deleting profile ${id}:`, error);
+        }
+
+        this.updateProfileControls();
+        return true;
+    }
+
+    /**
+     * Makes a profile the active one: its values are read into memory, an open
+     * dialog shows them (discarding unsaved edits), and subscribers are notified
+     * of every value that differs with source `profile`.
+     * @param {string} id - Profile ID
+     * @returns {Promise<boolean>} True if the profile is active now
+     */
+    async switchProfile(id) {
+        if (!this.isInitialized) {
+            console.warn('Settings not initialized. Call init() first.');
+            return false;
+        }
+        if (!this.profiles.some(profile => profile.id === id)) {
+            console.warn(`Unknown profile: ${id}`);
+            return false;
+        }
+        if (id === this.activeProfileId) return true;
+
+        this.activeProfileId = id;
+        try {
+            await this.storeProfiles();
+        } catch (error) {
+            console.error('Error writing the active profile to storage:', error);
+        }
+
+        await this.loadActiveProfile();
+        return true;
+    }
+
+    /**
+     * Reads the values of the active profile, and updates the change listeners,
+     * the open dialog and the subscribers
+     */
+    async loadActiveProfile() {
+        const previousValues = this.getValueSnapshot();
+        await this.readFromStore();
+        this.setupChangeListeners();
+
+        if (this.currentDialog) {
+            this.reloadDialogValues();
+            this.updateProfileControls();
+        }
+
+        this.notifyValueChanges(previousValues, 'profile');
+
+        // The values were (re)loaded, like after init()
+        if (this.callbacks.onSettingsLoaded && typeof this.callbacks.onSettingsLoaded === 'function') {
+            this.callbacks.onSettingsLoaded();
+        }
+    }
+
+    /**
+     * Applies a profile list (or active profile) that was changed in another tab
+     * @param {any} newValue - The new stored profiles
+     */
+    async handleExternalProfilesChange(newValue) {
+        const previousProfileId = this.activeProfileId;
+        this.setProfilesFromStorage(newValue);
+        this.updateProfileControls();
+
+        if (this.activeProfileId !== previousProfileId) {
+            await this.loadActiveProfile();
+        }
+    }
+
+    /**
+     * Copies the stored values (and per-site overrides) of one profile to another
+     */
+    async copyProfileValues(fromProfileId, toProfileId) {
+        if (!this.config.settings) return;
+
+        const keys = this.config.settings.flatMap(setting => [setting.id, `siteOverrides.${setting.id}`]);
+        for (const key of keys) {
+            const storedValue = await this.getValueFromStorage(this.getValueStorageKey(key, fromProfileId), undefined);
+            if (storedValue !== undefined) {
+                await this.setValueIntoStorage(this.getValueStorageKey(key, toProfileId), storedValue);
+            }
+        }
+    }
+
+    /**
+     * Removes the stored values (and per-site overrides) of a profile
+     */
+    async deleteProfileValues(profileId) {
+        if (!this.config.settings) return;
+
+        const keys = this.config.settings.flatMap(setting => [setting.id, `siteOverrides.${setting.id}`]);
+        for (const key of keys) {
+            await this.deleteValueFromStorage(this.getValueStorageKey(key, profileId));
+        }
+    }
+
+    /**
+     * Returns the presets declared in `config.presets` that have an ID and values
+     */
+    getPresets() {
+        return Array.isArray(this.config.presets)
+            ? this.config.presets.filter(preset => preset && preset.id && preset.values && typeof preset.values === 'object')
+            : [];
+    }
+
+    /**
+     * Applies a preset from `config.presets` to the values, validated like setMany()
+     * @param {string} id - Preset ID
+     * @param {Object} [options] - See setMany()
+     * @returns {Promise<Object>} Result `{ success, errors }`, see setMany()
+     */
+    async applyPreset(id, options = {}) {
+        const preset = this.getPresets().find(p => p.id === id);
+        if (!preset) {
+            console.warn(`Unknown preset: ${id}`);
+            return { success: false, errors: {} };
+        }
+        return this.setMany(preset.values, options);
+    }
+
+    /**
+     * Returns the English texts of the library's own messages, keyed by message
+     * key. Translations are added to the bundles in `config.i18n` under the same keys.
+     */
+    static getDefaultMessages() {
+        if (!UserScriptConfig.defaultMessages) {
+            UserScriptConfig.defaultMessages = {
+                'usc.dialogLabel': 'Settings',
+                'usc.save': 'Save',
+                'usc.cancel': 'Cancel',
+                'usc.export': 'Export',
+                'usc.import': 'Import',
+                'usc.importFailed': 'Import failed: {error}',
+                'usc.imported': 'Imported {count} setting(s).',
+                'usc.importedWithRejections': 'Imported {count} setting(s). Rejected: {rejected}',
+                'usc.searchPlaceholder': 'Search settings…',
+                'usc.noSearchResults': 'No settings match "{query}"',
+                'usc.globalScope': 'Global',
+                'usc.siteScope': 'This site',
+                'usc.overridden': 'Overridden on this site',
+                'usc.useGlobal': 'Use global',
+                'usc.profile': 'Profile',
+                'usc.defaultProfile': 'Default',
+                'usc.profileCopy': '{name} (copy)',
+                'usc.newProfile': 'New',
+                'usc.duplicateProfile': 'Duplicate',
+                'usc.renameProfile': 'Rename',
+                'usc.deleteProfile': 'Delete',
+                'usc.newProfilePrompt': 'Name of the new profile:',
+                'usc.duplicateProfilePrompt': 'Name of the copy:',
+                'usc.renameProfilePrompt': 'New name of the profile:',
+                'usc.deleteProfileConfirm': 'Delete the profile "{name}" and its settings?',
+                'usc.presetApplied': 'Applied the preset "{name}". Save to keep it.',
+                'usc.add': 'Add',
+                'usc.addRow': 'Add row',
+                'usc.moveUp': 'Move up',
+                'usc.moveDown': 'Move down',
+                'usc.remove': 'Remove',
+                'usc.removeFile': 'Remove file',
+                'usc.noFile': 'No file',
+                'usc.opacity': 'Opacity',
+                'usc.hotkeyPlaceholder': 'Click and press a key combination',
+                'usc.hotkeyConflict': 'Also used by: {names}',
+                'usc.fileTooLargeToLoad': '{name} is too large (max {size})',
+                'usc.fileReadError': 'Could not read {name}',
+                'usc.checking': 'Checking…',
+                'usc.invalidInput': 'Invalid input',
+                'usc.required': 'This field is required',
+                'usc.invalidNumber': 'Not a valid number',
+                'usc.notBoolean': 'Must be true or false',
+                'usc.notInteger': 'Must be a whole number',
+                'usc.notAnOption': 'Not one of the available options',
+                'usc.notAllowed': 'Not one of the allowed values',
+                'usc.minLength.characters': 'Must have at least {count} characters',
+                'usc.minLength.items': 'Must have at least {count} items',
+                'usc.minLength.rows': 'Must have at least {count} rows',
+                'usc.maxLength.characters': 'Must have at most {count} characters',
+                'usc.maxLength.items': 'Must have at most {count} items',
+                'usc.maxLength.rows': 'Must have at most {count} rows',
+                'usc.invalidItem': 'Invalid item',
+                'usc.min': 'Must be at least {min}',
+                'usc.max': 'Must be at most {max}',
+                'usc.notBefore': 'Must not be before {min}',
+                'usc.notAfter': 'Must not be after {max}',
+                'usc.invalidColor': 'Not a valid color',
+                'usc.invalidDate': 'Not a valid date',
+                'usc.invalidTime': 'Not a valid time',
+                'usc.invalidDateTime': 'Not a valid date and time',
+                'usc.invalidFile': 'Not a valid file',
+                'usc.fileTooLarge': 'File is too large (max {size})',
+                'usc.tableRowError': 'Row {row}, {column}: {error}',
+                'usc.invalidJsonAt': 'Invalid JSON at line {line}, column {column}: {reason}',
+                'usc.unknownSetting': 'Unknown setting',
+                'usc.notScopable': 'Setting can\'t be overridden per site',
+                'usc.notInitialized': 'Settings not initialized',
+                'usc.notAnExport': 'Not a settings export',
+                'usc.wrongConfigId': 'Settings belong to \'{configId}\', not \'{expected}\'',
+                'usc.migrationFailed': 'Migration failed: {error}',
+                'usc.siteOverridesOf': '{id} (site overrides)'
+            };
+        }
+        return UserScriptConfig.defaultMessages;
+    }
+
+    /**
+     * Returns the locale texts are shown in: the one set with setLocale(), the
+     * value of the `i18n.localeSetting` setting, `i18n.locale`, or the browser's language
+     */
+    getLocale() {
+        const i18n = this.config.i18n || {};
+        const settingLocale = i18n.localeSetting ? this.values.get(i18n.localeSetting) : null;
+        const browserLocale = typeof navigator !== 'undefined' ? navigator.language : null;
+        return this.locale || settingLocale || i18n.locale || browserLocale || 'en';
+    }
+
+    /**
+     * Returns the locales that are searched for a text, in order: the locale,
+     * its language without region (`de` for `de-AT`), the `i18n.fallback`
+     * locales, and finally `en`
+     */
+    getLocaleChain() {
+        const locales = [];
+        const addLocale = (locale) => {
+            if (typeof locale === 'string' && locale && !locales.includes(locale)) {
+                locales.push(locale);
+            }
+        };
+
+        const locale = this.getLocale();
+        addLocale(locale);
+        addLocale(locale.split('-')[0]);
+        const fallback = (this.config.i18n || {}).fallback;
+        (Array.isArray(fallback) ? fallback : [fallback]).forEach(addLocale);
+        addLocale('en');
+        return locales;
+    }
+
+    /**
+     * Resolves a user-facing text of the config for the current locale. A text is either
+     *  - a plain string, used as it is,
+     *  - a locale map such as `{ en: 'Name', de: 'Name', fr: 'Nom' }`, or
+     *  - a message key `{ key: 'settings.name' }` (optionally with `params`), looked up in the `i18n.bundles`.
+     * `{name}` placeholders are replaced with the given parameters.
+     * @param {string|Object} text - The text
+     * @param {Object} [params] - Values for the placeholders
+     * @returns {string|undefined} The text for the current locale
+     */
+    translate(text, params) {
+        let resolvedText = text;
+        if (text && typeof text === 'object') {
+            const locales = this.getLocaleChain();
+            if (typeof text.key === 'string') {
+                resolvedText = this.findMessage(text.key, locales);
+                params = Object.assign({}, text.params, params);
+            } else {
+                const locale = locales.find(l => typeof text[l] === 'string');
+                resolvedText = locale ? text[locale] : Object.values(text).find(value => typeof value === 'string');
+            }
+        }
+
+        if (typeof resolvedText !== 'string' || !params) return resolvedText;
+        return resolvedText.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
+    }
+
+    /**
+     * Returns one of the library's own messages (see getDefaultMessages()) for the current locale
+     * @param {string} key - Message key
+     * @param {Object} [params] - Values for the placeholders
+     * @returns {string} The message
+     */
+    getMessage(key, params) {
+        return this.translate({ key }, params);
+    }
+
+    /**
+     * Looks a message key up in the bundles of the given locales, then in the
+     * library's own messages. Unknown keys are returned as they are.
+     */
+    findMessage(key, locales) {
+        const bundles = (this.config.i18n && this.config.i18n.bundles) || {};
+        for (const locale of locales) {
+            if (bundles[locale] && typeof bundles[locale][key] === 'string') {
+                return bundles[locale][key];
+            }
+        }
+
+        const defaultMessages = UserScriptConfig.getDefaultMessages();
+        return typeof defaultMessages[key] === 'string' ? defaultMessages[key] : key;
+    }
+
+    /**
+     * Changes the locale texts are shown in. An open dialog is rendered again
+     * in the new locale, keeping the values that weren't saved yet.
+     * @param {string|null} locale - A locale such as `de` or `pt-BR`, or null to use the default again (see getLocale())
+     */
+    setLocale(locale) {
+        this.locale = locale || null;
+        if (this.currentDialog) {
+            this.renderDialogAgain();
+        }
+    }
+
+    /**
+     * Returns the scope that "This site" refers to in the dialog: `config.siteScope`
+     * if set, otherwise the hostname of the current page
+     * @returns {string} The site scope, or an empty string if there is no site
+     */
+    getSiteScope() {
+        if (typeof this.config.siteScope === 'string' && this.config.siteScope) {
+            return this.config.siteScope;
+        }
+        return typeof location !== 'undefined' ? location.hostname : '';
+    }
+
+    /**
+     * Checks whether a site scope applies to a URL. A scope containing a `/` is
+     * a pattern for the whole URL, otherwise it is a pattern for the hostname.
+     * `*` matches any sequence of characters.
+     * @param {string} scope - The scope, e.g. `github.com`, `*.github.com` or `https://github.com/myname/*`
+     * @param {string} url - The URL
+     * @returns {boolean} True if the scope applies
+     */
+    static matchesSiteScope(scope, url) {
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch (error) {
+            return false;
+        }
+
+        const target = scope.includes('/') ? parsedUrl.href : parsedUrl.hostname;
+        const pattern = scope.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${pattern}$`, 'i').test(target);
+    }
+
+    /**
+     * Finds the scope whose override of a setting applies to the current page.
+     * If several do, the longest (most specific) scope wins.
+     * @param {string} id - Setting ID
+     * @returns {string|null} The scope, or null if the global value applies
+     */
+    getMatchingOverrideScope(id) {
+        const overrides = this.siteOverrides.get(id);
+        if (!overrides || overrides.size === 0 || typeof location === 'undefined') return null;
+
+        const scopes = Array.from(overrides.keys())
+            .filter(scope => UserScriptConfig.matchesSiteScope(scope, location.href))
+            .sort((a, b) => b.length - a.length);
+        return scopes.length > 0 ? scopes[0] : null;
+    }
+
+    /**
+     * Gets the override of a setting for a site scope
+     * @param {string} id - Setting ID
+     * @param {string} [scope] - The scope, defaults to the site scope (see getSiteScope())
+     * @returns {any} The override, or undefined if the setting has none for that scope
+     */
+    getSiteOverride(id, scope = this.getSiteScope()) {
+        const overrides = this.siteOverrides.get(id);
+        return overrides ? overrides.get(scope) : undefined;
+    }
+
+    /**
+     * Removes the override of a setting for a site scope, so the global value applies again
+     * @param {string} id - Setting ID
+     * @param {string} [scope] - The scope, defaults to the site scope (see getSiteScope())
+     * @returns {Promise<boolean>} True if there was an override
+     */
+    async clearSiteOverride(id, scope = this.getSiteScope()) {
+        const overrides = this.siteOverrides.get(id);
+        if (!overrides || !overrides.has(scope)) return false;
+
+        const previousValues = new Map([[id, this.getFieldValue(id)]]);
+        overrides.delete(scope);
+        try {
+            await this.storeSiteOverrides(id);
+        } catch (error) {
+            console.error(`Error writing site overrides to storage for ${id}:`, error);
+        }
+
+        if (this.currentDialog && scope === this.getSiteScope()) {
+            this.pendingOverrides.set(id, undefined);
+            this.refreshDialogField(this.getSettingById(id));
+            this.updateScopeIndicators();
+        }
+
+        this.notifyValueChanges(previousValues, 'set');
+        return true;
+    }
+
+    /**
+     * Replaces the in-memory overrides of a setting with the ones read from storage
+     * @param {Object} setting - The setting definition
+     * @param {Object} storedOverrides - Stored values keyed by scope
+     */
+    setSiteOverridesFromStorage(setting, storedOverrides) {
+        const overrides = new Map();
+        if (storedOverrides && typeof storedOverrides === 'object') {
+            Object.keys(storedOverrides).forEach(scope => {
+                const value = this.deserializeValue(setting, storedOverrides[scope]);
+                if (value !== null && value !== undefined) {
+                    overrides.set(scope, value);
+                }
+            });
+        }
+        this.siteOverrides.set(setting.id, overrides);
+    }
+
+    /**
+     * Writes the per-site overrides of a setting to storage, next to its global value
+     * @param {string} id - Setting ID
+     * @returns {Promise<void>}
+     */
+    async storeSiteOverrides(id) {
+        const setting = this.getSettingById(id);
+        const overrides = this.siteOverrides.get(id);
+        const storageKey = this.getValueStorageKey(`siteOverrides.${id}`);
+        if (!setting || !overrides || overrides.size === 0) {
+            await this.deleteValueFromStorage(storageKey);
+            return;
+        }
+
+        const storedOverrides = {};
+        overrides.forEach((value, scope) => {
+            storedOverrides[scope] = this.serializeValue(setting, value);
+        });
+        await this.setValueIntoStorage(storageKey, storedOverrides);
+    }
+
+    hasValidGroups() {
+        return this.config.groups && Array.isArray(this.config.groups);
+    }
+
+    async shouldGroupBeExpanded(group) {
+        // A `collapsedIf` condition takes precedence over the remembered state
+        const storedState = group.collapsedIf ? undefined : await this.getValueFromStorage(this.getStorageKey(`groupState.${group.id}`), undefined);
+        return this.getGroupExpandedState(group, storedState);
+    }
+
+    /**
+     * Decides whether a group starts expanded
+     * @param {Object} group - The group definition
+     * @param {boolean} [storedState] - The remembered state, if any
+     * @returns {boolean}
+     */
+    getGroupExpandedState(group, storedState) {
+        // If the group mentions a `collapsedIf` setting, that takes precedence.
+        if (group.collapsedIf) {
+            return !this.evaluateCondition(group.collapsedIf, id => this.getFieldValue(id));
+        }
+        if (storedState !== undefined && storedState !== null) {
+            // Older versions stored the state as the string 'true' or 'false'
+            return typeof storedState === 'string' ? storedState === 'true' : !!storedState;
+        }
+        return (group.expanded === undefined || group.expanded === null) ? true : group.expanded;
+    }
+
+    /**
+     * Puts a value read from storage (or the default, if nothing is stored) into the in-memory cache
+     * @param {Object} setting - The setting definition
+     * @param {any} storedValue - The stored value, or undefined
+     */
+    setValueFromStorage(setting, storedValue) {
+        const value = storedValue === undefined ? this.coerceValue(setting, setting.defaultValue) : this.deserializeValue(setting, storedValue);
+        this.values.set(setting.id, value === null || value === undefined ? setting.defaultValue : value);
+    }
+
+    /**
+     * Reads the profiles, values, overrides and group states in one go if the
+     * storage adapter answers synchronously (like `GM_getValue` or localStorage),
+     * as init() did before storage could be asynchronous. Returns false for
+     * asynchronous adapters, when migrations have to run first, or when a read
+     * fails, in which case init() reads everything the asynchronous way.
+     * @returns {boolean} Whether everything was read
+     */
+    readFromStoreSync() {
+        if (!this.config.settings) return false;
+
+        const readStored = (key, defaultValue) => {
+            const value = this.storage.get(key, defaultValue);
+            if (value && typeof value.then === 'function') {
+                // Read again the asynchronous way; a failure is reported there
+                Promise.resolve(value).catch(() => {});
+                throw new Error('The storage adapter is asynchronous');
+            }
+            return value === undefined ? defaultValue : value;
+        };
+
+        try {
+            const storedProfiles = readStored(this.getStorageKey('meta.profiles'), null);
+            const storedVersion = Number(readStored(this.getStorageKey('meta.schemaVersion'), 1)) || 1;
+            if (storedVersion < this.getSchemaVersion()) return false;
+
+            this.setProfilesFromStorage(storedProfiles);
+            this.config.settings.forEach(setting => {
+                this.setValueFromStorage(setting, readStored(this.getValueStorageKey(setting.id), undefined));
+                if (setting.scopable) {
+                    this.setSiteOverridesFromStorage(setting, readStored(this.getValueStorageKey(`siteOverrides.${setting.id}`), undefined));
+                }
+            });
+
+            if (this.hasValidGroups()) {
+                this.config.groups.forEach(group => {
+                    const storedState = group.collapsedIf ? undefined : readStored(this.getStorageKey(`groupState.${group.id}`), undefined);
+                    this.groupStates.set(group.id, this.getGroupExpandedState(group, storedState));
+                });
+            }
+            if (this.config.layout === 'tabs') {
+                this.selectedTabId = readStored(this.getStorageKey('tabState.selected'), null);
+            }
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Reads values from storage and caches them into the
+     * in memory config object
+     * @returns {Promise<UserScriptConfig>}
+     */
+    async readFromStore() {
+        // Also called by init(), before the instance counts as initialized
+        if (!this.storage || !this.config.settings) {
+            console.warn('Settings not initialized. Call init() first.');
             return this;
         }
 
-        this.config.settings.forEach(setting => {
-            const fieldValue = this.values.get(setting.id);
-            if (fieldValue !== undefined) {
-                this.setInputValue(setting, fieldValue);
+        await Promise.all(this.config.settings.map(async setting => {
+            try {
+                this.setValueFromStorage(setting, await this.getValueFromStorage(this.getValueStorageKey(setting.id), undefined));
+            } catch (error) {
+                console.error(`Error reading from storage for ${setting.id}:`, error);
+                this.values.set(setting.id, setting.defaultValue);
+            }
+
+            if (!setting.scopable) return;
+            try {
+                this.setSiteOverridesFromStorage(setting, await this.getValueFromStorage(this.getValueStorageKey(`siteOverrides.${setting.id}`), undefined));
+            } catch (error) {
+                console.error(`Error reading site overrides from storage for ${setting.id}:`, error);
+                this.siteOverrides.set(setting.id, new Map());
+            }
+        }));
+
+        // Read group states from storage
+        await this.readGroupStatesToConfig();
+
+        return this;
+    }
+
+    async readGroupStatesToConfig() {
+        if (this.hasValidGroups()) {
+            await Promise.all(this.config.groups.map(async group => {
+                try {
+                    this.groupStates.set(group.id, await this.shouldGroupBeExpanded(group));
+                } catch (error) {
+                    console.error(`Error reading group state from storage for ${group.id}:`, error);
+                    this.groupStates.set(group.id, true);
+                }
+            }));
+        }
+
+        // The selected tab is remembered like the group states
+        if (this.config.layout === 'tabs') {
+            try {
+                this.selectedTabId = await this.getValueFromStorage(this.getStorageKey('tabState.selected'), null);
+            } catch (error) {
+                console.error('Error reading the selected tab from storage:', error);
+                this.selectedTabId = null;
+            }
+        }
+    }
+
+    /**
+     * Writes memory object values to storage
+     * @returns {Promise<UserScriptConfig>}
+     */
+    async writeToStorage() {
+        if (!this.isInitialized) {
+            console.warn('Settings not initialized. Call init() first.');
+            return this;
+        }
+
+        const writes = [];
+        this.values.forEach((value, id) => {
+            writes.push(Promise.resolve()
+                .then(() => this.storeFieldValue(id))
+                .catch(error => console.error(`Error writing to storage for ${id}:`, error)));
+        });
+
+        this.siteOverrides.forEach((overrides, id) => {
+            writes.push(Promise.resolve()
+                .then(() => this.storeSiteOverrides(id))
+                .catch(error => console.error(`Error writing site overrides to storage for ${id}:`, error)));
+        });
+
+        // Write group states to storage
+        this.groupStates.forEach((state, id) => {
+            const storageKey = this.getStorageKey(`groupState.${id}`);
+            writes.push(Promise.resolve()
+                .then(() => this.setValueIntoStorage(storageKey, state))
+                .catch(error => console.error(`Error writing group state to storage for ${id}:`, error)));
+        });
+
+        if (this.selectedTabId !== null) {
+            writes.push(Promise.resolve()
+                .then(() => this.setValueIntoStorage(this.getStorageKey('tabState.selected'), this.selectedTabId))
+                .catch(error => console.error('Error writing the selected tab to storage:', error)));
+        }
+
+        await Promise.all(writes);
+        return this;
+    }
+
+    /**
+     * Resets all values in the Config object to their defaults
+     * @returns {Promise<UserScriptConfig>}
+     */
+    async resetToDefaults() {
+        if (!this.isInitialized || !this.config.settings) {
+            console.warn('Settings not initialized. Call init() first.');
+            return this;
+        }
+
+        const previousValues = this.getValueSnapshot();
+        this.config.settings.forEach(setting => {
+            this.values.set(setting.id, this.coerceValue(setting, setting.defaultValue));
+        });
+        // Per-site overrides are dropped as well
+        this.siteOverrides.forEach(overrides => overrides.clear());
+
+        // Reset group states to their default in config
+        await this.readGroupStatesToConfig();
+
+        this.notifyValueChanges(previousValues, 'reset');
+
+        return this;
+    }
+
+    /**
+     * Updates a specific setting value in the cache
+     * @param {string} id - Setting ID
+     * @param {any} value - New value
+     */
+    setFieldValue(id, value) {
+        if (!this.isInitialized) {
+            console.warn('Settings not initialized. Call init() first.');
+            return this;
+        }
+
+        const setting = this.getSettingById(id);
+        const previousValues = new Map([[id, this.getFieldValue(id)]]);
+        this.values.set(id, setting ? this.coerceValue(setting, value) : value);
+        this.notifyValueChanges(previousValues, 'set');
+        return this;
+    }
+
+    /**
+     * Subscribes to committed changes of a single setting, whatever caused them
+     * (save, setFieldValue, reset, import or a change from another tab).
+     * @param {string} id - Setting ID
+     * @param {Function} handler - Called with `(newValue, oldValue, source)`
+     * @returns {Function} Unsubscribe function
+     */
+    on(id, handler) {
+        if (typeof handler !== 'function') {
+            console.warn('on() expects a handler function');
+            return () => {};
+        }
+
+        if (!this.settingSubscribers.has(id)) {
+            this.settingSubscribers.set(id, new Set());
+        }
+        this.settingSubscribers.get(id).add(handler);
+
+        return () => {
+            const handlers = this.settingSubscribers.get(id);
+            if (handlers) {
+                handlers.delete(handler);
+            }
+        };
+    }
+
+    /**
+     * Subscribes to committed changes of any setting
+     * @param {Function} handler - Called with `(id, newValue, oldValue, source)`
+     * @returns {Function} Unsubscribe function
+     */
+    onAny(handler) {
+        if (typeof handler !== 'function') {
+            console.warn('onAny() expects a handler function');
+            return () => {};
+        }
+
+        this.anySettingSubscribers.add(handler);
+        return () => this.anySettingSubscribers.delete(handler);
+    }
+
+    /**
+     * Notifies subscribers about every value that differs from the given snapshot
+     * @param {Map} previousValues - Effective values (keyed by setting ID) from before the change
+     * @param {string} source - What caused the change (`save`, `set`, `reset`, `import` or `external`)
+     */
+    notifyValueChanges(previousValues, source) {
+        previousValues.forEach((oldValue, id) => {
+            const newValue = this.getFieldValue(id);
+            if (this.valuesEqual(oldValue, newValue)) return;
+
+            const handlers = this.settingSubscribers.get(id);
+            if (handlers) {
+                Array.from(handlers).forEach(handler => {
+                    try {
+                        handler(newValue, oldValue, source);
+                    } catch (error) {
+                        console.error(`Error in change handler for ${id}:`, error);
+                    }
+                });
+            }
+
+            Array.from(this.anySettingSubscribers).forEach(handler => {
+                try {
+                    handler(id, newValue, oldValue, source);
+                } catch (error) {
+                    console.error(`Error in change handler for ${id}:`, error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Validates and sets a single setting value. Unlike setFieldValue(), the
+     * value is checked with the same rules and validators as in the dialog.
+     * @param {string} id - Setting ID
+     * @param {any} value - New value
+     * @param {Object} [options] - See setMany()
+     * @returns {Promise<Object>} Result `{ success, errors }`, see setMany()
+     */
+    async set(id, value, options = {}) {
+        return this.setMany({ [id]: value }, options);
+    }
+
+    /**
+     * Validates and sets several setting values at once. Either all values are
+     * applied, or none of them (if any is invalid).
+     * @param {Object} values - New values keyed by setting ID
+     * @param {Object} [options] - `{ persist: true }` also writes the values to storage.
+     *                             `{ scope: '<site scope>' }` sets per-site overrides of `scopable` settings instead of their global values.
+     * @returns {Promise<Object>} Result `{ success, errors }`, where `errors` maps each rejected setting ID to its error message
+     */
+    async setMany(values, options = {}) {
+        const result = { success: false, errors: {} };
+
+        if (!this.isInitialized) {
+            console.warn('Settings not initialized. Call init() first.');
+            return result;
+        }
+
+        const ids = Object.keys(values || {});
+        const scope = typeof options.scope === 'string' && options.scope ? options.scope : null;
+
+        // Validators see the new values together with the current ones of the same scope
+        const candidateValues = this.getScopeValues(scope);
+        ids.forEach(id => {
+            const setting = this.getSettingById(id);
+            if (!setting) {
+                result.errors[id] = this.getMessage('usc.unknownSetting');
+            } else if (scope !== null && !setting.scopable) {
+                result.errors[id] = this.getMessage('usc.notScopable');
+            } else {
+                const typeError = this.getValueTypeError(setting, values[id]);
+                if (typeError) {
+                    result.errors[id] = typeError;
+                } else {
+                    candidateValues[id] = this.coerceValue(setting, values[id]);
+                }
+            }
+        });
+
+        for (const id of ids) {
+            const setting = this.getSettingById(id);
+            if (!setting || result.errors[id]) continue;
+
+            const error = await this.validateValue(setting, candidateValues[id], candidateValues);
+            if (error) {
+                result.errors[id] = error;
+            }
+        }
+
+        // Config-level validators that involve any of the new values
+        if (Array.isArray(this.config.validators)) {
+            this.config.validators.forEach(validator => {
+                if (!Array.isArray(validator.fields) || !validator.fields.some(id => ids.includes(id))) return;
+                if (typeof validator.validate !== 'function') return;
+
+                const error = this.getCustomValidatorError(() => validator.validate(candidateValues), validator.message);
+                if (!error) return;
+
+                validator.fields.forEach(id => {
+                    if (ids.includes(id) && !result.errors[id]) {
+                        result.errors[id] = error;
+                    }
+                });
+            });
+        }
+
+        if (Object.keys(result.errors).length > 0) {
+            return result;
+        }
+
+        const previousValues = new Map();
+        ids.forEach(id => {
+            previousValues.set(id, this.getFieldValue(id));
+            if (scope === null) {
+                this.values.set(id, candidateValues[id]);
+                return;
+            }
+
+            if (!this.siteOverrides.has(id)) {
+                this.siteOverrides.set(id, new Map());
+            }
+            this.siteOverrides.get(id).set(scope, candidateValues[id]);
+            if (this.currentDialog && scope === this.getSiteScope()) {
+                this.pendingOverrides.set(id, candidateValues[id]);
+            }
+        });
+
+        if (options.persist) {
+            await Promise.all(ids.map(async id => {
+                try {
+                    await (scope === null ? this.storeFieldValue(id) : this.storeSiteOverrides(id));
+                } catch (error) {
+                    console.error(`Error writing to storage for ${id}:`, error);
+                }
+            }));
+        }
+
+        ids.forEach(id => this.refreshDialogField(this.getSettingById(id)));
+        this.updateScopeIndicators();
+
+        this.notifyValueChanges(previousValues, 'set');
+
+        result.success = true;
+        return result;
+    }
+
+    /**
+     * Finds a setting definition by its ID
+     * @param {string} id - Setting ID
+     * @returns {Object|undefined} The setting definition
+     */
+    getSettingById(id) {
+        return this.config.settings ? this.config.settings.find(s => s.id === id) : undefined;
+    }
+
+    /**
+     * Determines which type a setting's value is kept as. An explicit
+     * `valueType` wins, otherwise it is the `valueType` of the field type.
+     * @param {Object} setting - The setting definition
+     * @returns {string} One of `string`, `number`, `integer`, `boolean`, `array`, `table` or `any`
+     */
+    getValueType(setting) {
+        if (setting.valueType) {
+            return setting.valueType;
+        }
+
+        const fieldType = this.getFieldType(setting.type);
+        if (!fieldType) {
+            return 'string';
+        }
+        return fieldType.valueType || 'any';
+    }
+
+    /**
+     * Checks a value passed to set() / setMany() against the setting's value type
+     * where coerceValue() would otherwise change its meaning: a boolean setting only
+     * takes `true` or `false`, and an integer setting no fractional numbers.
+     * @param {Object} setting - The setting definition
+     * @param {any} value - The raw value
+     * @returns {string|null} An error message, or null if the value can be coerced
+     */
+    getValueTypeError(setting, value) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+
+        switch (this.getValueType(setting)) {
+            case 'boolean':
+                return typeof value === 'boolean' ? null : this.getMessage('usc.notBoolean');
+
+            case 'integer':
+                // Values that aren't numbers at all are reported by getRuleError()
+                const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+                return Number.isFinite(number) && !Number.isInteger(number) ? this.getMessage('usc.notInteger') : null;
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Converts a raw value (e.g. a string coming back from localStorage
+     * or from an input element) into the setting's value type.
+     * @param {Object} setting - The setting definition
+     * @param {any} value - The raw value
+     * @returns {any} The coerced value, or null if it can't be converted
+     */
+    coerceValue(setting, value) {
+        if (value === undefined || value === null) {
+            return value;
+        }
+
+        switch (this.getValueType(setting)) {
+            case 'boolean':
+                if (typeof value === 'string') {
+                    return value === 'true';
+                }
+                return Boolean(value);
+
+            case 'number':
+            case 'integer':
+                if (typeof value === 'string' && value.trim() === '') {
+                    return null;
+                }
+                const number = Number(value);
+                if (Number.isNaN(number) || typeof value === 'boolean') {
+                    return null;
+                }
+                return this.getValueType(setting) === 'integer' ? Math.round(number) : number;
+
+            case 'array':
+                if (Array.isArray(value)) {
+                    return value.map(item => String(item));
+                }
+                if (typeof value === 'string') {
+                    if (value.trim().startsWith('[')) {
+                        try {
+                            const parsed = JSON.parse(value);
+                            if (Array.isArray(parsed)) {
+                                return parsed.map(item => String(item));
+                            }
+                        } catch (error) {
+                            // Not JSON, treat it as comma separated below
+                        }
+                    }
+                    // Lists used to be stored as comma separated text
+                    return value.split(',').map(item => item.trim()).filter(item => item !== '');
+                }
+                return null;
+
+            case 'table':
+                return this.coerceTableRows(setting, value);
+
+            case 'any':
+                // E.g. parsed JSON or the value of a custom field type, kept as it is
+                return value;
+
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * Converts a raw value into the rows of a `table` setting: an array of
+     * objects with one property per column. Cells of `checkbox` columns are
+     * booleans, all other cells strings; unknown properties are dropped.
+     * @param {Object} setting - The table setting
+     * @param {any} value - An array of row objects, or its JSON text
+     * @returns {Array<Object>|null} The rows, or null if the value isn't a table
+     */
+    coerceTableRows(setting, value) {
+        let rows = value;
+        if (typeof rows === 'string') {
+            try {
+                rows = JSON.parse(rows);
+            } catch (error) {
+                return null;
+            }
+        }
+        if (!Array.isArray(rows)) {
+            return null;
+        }
+
+        const columns = setting.columns || [];
+        return rows
+            .filter(row => row && typeof row === 'object' && !Array.isArray(row))
+            .map(row => {
+                const coercedRow = {};
+                columns.forEach(column => {
+                    const cell = row[column.id] === undefined || row[column.id] === null ? column.defaultValue : row[column.id];
+                    if (column.type === 'checkbox') {
+                        coercedRow[column.id] = typeof cell === 'string' ? cell === 'true' : Boolean(cell);
+                    } else {
+                        coercedRow[column.id] = cell === undefined || cell === null ? '' : String(cell);
+                    }
+                });
+                return coercedRow;
+            });
+    }
+
+    /**
+     * Converts a value as it is kept in memory into the form written to storage
+     * and exports, using the `serialize` function of the setting's field type
+     * @param {Object} setting - The setting definition
+     * @param {any} value - The value
+     * @returns {any} The value to store
+     */
+    serializeValue(setting, value) {
+        const fieldType = this.getFieldType(setting.type);
+        if (!fieldType || typeof fieldType.serialize !== 'function') {
+            return value;
+        }
+
+        try {
+            return fieldType.serialize(value, setting);
+        } catch (error) {
+            console.error(`Error serializing the value of ${setting.id}:`, error);
+            return value;
+        }
+    }
+
+    /**
+     * Converts a value read from storage or an export back into the value kept
+     * in memory, using the `deserialize` function of the setting's field type
+     * @param {Object} setting - The setting definition
+     * @param {any} storedValue - The stored value
+     * @returns {any} The value, or undefined if it can't be read
+     */
+    deserializeValue(setting, storedValue) {
+        const fieldType = this.getFieldType(setting.type);
+        if (!fieldType || typeof fieldType.deserialize !== 'function') {
+            return this.coerceValue(setting, storedValue);
+        }
+
+        try {
+            return this.coerceValue(setting, fieldType.deserialize(storedValue, setting));
+        } catch (error) {
+            console.error(`Error deserializing the value of ${setting.id}:`, error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Writes the current value of a setting to storage
+     * @param {string} id - Setting ID
+     * @returns {Promise<void>}
+     */
+    async storeFieldValue(id) {
+        const setting = this.getSettingById(id);
+        const value = this.values.get(id);
+        await this.setValueIntoStorage(this.getValueStorageKey(id), setting ? this.serializeValue(setting, value) : value);
+    }
+
+    /**
+     * Gets a field value by ID. For `scopable` settings, an override for the
+     * current page takes precedence over the global value.
+     * @param {string} id - Setting ID
+     * @returns {any} The field value
+     */
+    getFieldValue(id) {
+        const scope = this.getMatchingOverrideScope(id);
+        return scope === null ? this.values.get(id) : this.siteOverrides.get(id).get(scope);
+    }
+
+    /**
+     * Gets all field values as an object, resolved for the current page like getFieldValue()
+     * @returns {Object} All field values
+     */
+    getAllFieldValues() {
+        const values = {};
+        this.values.forEach((value, id) => {
+            values[id] = this.getFieldValue(id);
+        });
+        return values;
+    }
+
+    /**
+     * Gets all field values as an object, as they are in a scope
+     * @param {string|null} scope - A site scope, or null for the global values
+     * @returns {Object} The global values, with the scope's overrides applied
+     */
+    getScopeValues(scope) {
+        const values = {};
+        this.values.forEach((value, id) => {
+            const override = scope === null ? undefined : this.getSiteOverride(id, scope);
+            values[id] = override === undefined ? value : override;
+        });
+        return values;
+    }
+
+    /**
+     * Takes a snapshot of the effective values, as passed to notifyValueChanges()
+     * @returns {Map} Values keyed by setting ID
+     */
+    getValueSnapshot() {
+        return new Map(Array.from(this.values.keys(), id => [id, this.getFieldValue(id)]));
+    }
+
+    /**
+     * Checks whether a keyboard event matches the shortcut stored in a `hotkey` setting
+     * @param {string} id - ID of the hotkey setting
+     * @param {KeyboardEvent} event - The keyboard event, e.g. from a `keydown` listener
+     * @returns {boolean} True if the event's key and modifiers are exactly the stored ones
+     */
+    matchesHotkey(id, event) {
+        const hotkey = UserScriptConfig.normalizeHotkey(this.getFieldValue(id));
+        const eventHotkey = UserScriptConfig.hotkeyFromEvent(event);
+        return !!hotkey && !!eventHotkey && hotkey.toLowerCase() === eventHotkey.toLowerCase();
+    }
+
+    /**
+     * Brings a shortcut written by hand (e.g. `ctrl+shift+k`) into the form used by
+     * `hotkey` settings: modifiers in the order Ctrl, Alt, Shift, Meta, then the key,
+     * joined with `+` (e.g. `Ctrl+Shift+K`)
+     * @param {string} value - The shortcut
+     * @returns {string} The normalized shortcut, or an empty string if there is no key
+     */
+    static normalizeHotkey(value) {
+        if (typeof value !== 'string' || value.trim() === '') return '';
+
+        const modifierAliases = {
+            ctrl: 'Ctrl', control: 'Ctrl',
+            alt: 'Alt', option: 'Alt',
+            shift: 'Shift',
+            meta: 'Meta', cmd: 'Meta', command: 'Meta', win: 'Meta', super: 'Meta'
+        };
+        const parts = value.split('+').map(part => part.trim());
+        // `Ctrl++` means Ctrl and the plus key
+        if (parts.length > 1 && parts[parts.length - 1] === '' && parts[parts.length - 2] === '') {
+            parts.splice(-2, 2, 'Plus');
+        }
+
+        const modifiers = new Set();
+        let key = '';
+        parts.filter(part => part !== '').forEach(part => {
+            const modifier = modifierAliases[part.toLowerCase()];
+            if (modifier) {
+                modifiers.add(modifier);
+            } else {
+                key = UserScriptConfig.normalizeKeyName(part);
+            }
+        });
+
+        if (!key) return '';
+        return ['Ctrl', 'Alt', 'Shift', 'Meta'].filter(modifier => modifiers.has(modifier)).concat(key).join('+');
+    }
+
+    /**
+     * Gives a key a readable, unambiguous name, e.g. `k` → `K`, ` ` → `Space`, `esc` → `Escape`
+     */
+    static normalizeKeyName(key) {
+        const keyAliases = {
+            ' ': 'Space', spacebar: 'Space', space: 'Space',
+            '+': 'Plus', plus: 'Plus',
+            esc: 'Escape', del: 'Delete', ins: 'Insert', return: 'Enter',
+            up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight'
+        };
+        const alias = keyAliases[key.toLowerCase()];
+        if (alias) return alias;
+        if (key.length === 1) return key.toUpperCase();
+        return key.charAt(0).toUpperCase() + key.slice(1);
+    }
+
+    /**
+     * Reads the shortcut of a keyboard event, in the form returned by normalizeHotkey().
+     * Letters and digits are taken from the physical key, so Shift+1 is `Shift+1`, not `!`.
+     * @param {KeyboardEvent} event - The keyboard event
+     * @returns {string|null} The shortcut, or null if only a modifier key was pressed
+     */
+    static hotkeyFromEvent(event) {
+        if (!event || !event.key || ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'OS'].includes(event.key)) {
+            return null;
+        }
+
+        const codeMatch = /^(?:Key([A-Z])|Digit([0-9]))$/.exec(event.code || '');
+        const key = codeMatch ? (codeMatch[1] || codeMatch[2]) : UserScriptConfig.normalizeKeyName(event.key);
+
+        const modifiers = [];
+        if (event.ctrlKey) modifiers.push('Ctrl');
+        if (event.altKey) modifiers.push('Alt');
+        if (event.shiftKey) modifiers.push('Shift');
+        if (event.metaKey) modifiers.push('Meta');
+        return modifiers.concat(key).join('+');
+    }
+
+    /**
+     * Parses a CSS color in hex (`#rgb`, `#rgba`, `#rrggbb`, `#rrggbbaa`) or
+     * `rgb()` / `rgba()` notation
+     * @param {string} value - The color
+     * @returns {{r: number, g: number, b: number, a: number}|null} The channels (alpha from 0 to 1), or null if the color can't be parsed
+     */
+    static parseColor(value) {
+        if (typeof value !== 'string') return null;
+        const color = value.trim().toLowerCase();
+
+        const hexMatch = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(color);
+        if (hexMatch) {
+            let hex = hexMatch[1];
+            if (hex.length <= 4) {
+                hex = hex.split('').map(digit => digit + digit).join('');
+            }
+            return {
+                r: parseInt(hex.slice(0, 2), 16),
+                g: parseInt(hex.slice(2, 4), 16),
+                b: parseInt(hex.slice(4, 6), 16),
+                a: hex.length === 8 ? Math.round(parseInt(hex.slice(6, 8), 16) / 255 * 100) / 100 : 1
+            };
+        }
+
+        const rgbMatch = /^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*(\d*\.?\d+)\s*)?\)$/.exec(color);
+        if (rgbMatch) {
+            const [r, g, b] = rgbMatch.slice(1, 4).map(Number);
+            const a = rgbMatch[4] === undefined ? 1 : Number(rgbMatch[4]);
+            if ([r, g, b].some(channel => channel > 255) || a > 1) return null;
+            return { r, g, b, a };
+        }
+
+        return null;
+    }
+
+    /**
+     * Writes color channels as returned by parseColor()
+     * @param {{r: number, g: number, b: number, a: number}} color - The channels
+     * @param {string} [format] - `hex` (default) or `rgb`
+     * @param {boolean} [withAlpha] - Whether to include the alpha channel
+     * @returns {string} E.g. `#ff8800`, `#ff880080`, `rgb(255, 136, 0)` or `rgba(255, 136, 0, 0.5)`
+     */
+    static formatColor(color, format, withAlpha) {
+        if (format === 'rgb') {
+            return withAlpha
+                ? `rgba(${color.r}, ${color.g}, ${color.b}, ${Math.round(color.a * 100) / 100})`
+                : `rgb(${color.r}, ${color.g}, ${color.b})`;
+        }
+
+        const toHex = channel => Math.round(channel).toString(16).padStart(2, '0');
+        return '#' + toHex(color.r) + toHex(color.g) + toHex(color.b) + (withAlpha ? toHex(color.a * 255) : '');
+    }
+
+    /**
+     * Calculates the size in bytes of the content of a data URL
+     * @param {string} dataUrl - The data URL
+     * @returns {number|null} The size, or null if the value isn't a data URL
+     */
+    static getDataUrlSize(dataUrl) {
+        const match = typeof dataUrl === 'string' ? /^data:([^,]*),(.*)$/s.exec(dataUrl) : null;
+        if (!match) return null;
+
+        if (/;base64$/i.test(match[1])) {
+            const data = match[2].replace(/\s/g, '');
+            const padding = data.endsWith('==') ? 2 : (data.endsWith('=') ? 1 : 0);
+            return Math.floor(data.length * 3 / 4) - padding;
+        }
+        try {
+            return decodeURIComponent(match[2]).length;
+        } catch (error) {
+            return match[2].length;
+        }
+    }
+
+    /**
+     * Describes why a text isn't valid JSON, including the line and column of the problem
+     * @param {string} text - The JSON text
+     * @returns {string|null} The error message, or null if the text parses
+     */
+    getJsonSyntaxError(text) {
+        try {
+            JSON.parse(text);
+            return null;
+        } catch (error) {
+            const location = UserScriptConfig.getJsonErrorLocation(text, error.message);
+            const reason = error.message
+                .replace(/^JSON\.parse: /, '')
+                .replace(/\s*at line \d+ column \d+ of the JSON data/, '')
+                .replace(/\s*\(line \d+ column \d+\)/, '')
+                .replace(/\s*(?:in JSON )?at position \d+/, '')
+                .replace(/, (?:\.\.\.)?".*"(?:\.\.\.)? is not valid JSON$/s, '');
+            return this.getMessage('usc.invalidJsonAt', { line: location.line, column: location.column, reason });
+        }
+    }
+
+    /**
+     * Finds where a JSON syntax error is. Uses the location in the message of
+     * `JSON.parse()` if the engine reports one (`line X column Y` or `at position N`),
+     * otherwise scans the text for it, since many errors (e.g. "Unexpected end of
+     * JSON input", or a misspelled `true` in V8) come without a position.
+     * @param {string} text - The JSON text
+     * @param {string} message - The error message
+     * @returns {{line: number, column: number}} The location
+     */
+    static getJsonErrorLocation(text, message) {
+        const lineMatch = /line (\d+) column (\d+)/.exec(message);
+        if (lineMatch) {
+            return { line: Number(lineMatch[1]), column: Number(lineMatch[2]) };
+        }
+
+        const positionMatch = /at position (\d+)/.exec(message);
+        const foundPosition = positionMatch ? Number(positionMatch[1]) : UserScriptConfig.findJsonErrorPosition(text);
+        // If the scanner disagrees with the engine, point at the end of the text
+        const position = foundPosition === null ? text.length : foundPosition;
+
+        const linesBefore = text.slice(0, position).split('\n');
+        return { line: linesBefore.length, column: linesBefore[linesBefore.length - 1].length + 1 };
+    }
+
+    /**
+     * Finds the position of the first character that makes a text invalid JSON
+     * @param {string} text - The JSON text
+     * @returns {number|null} The index of the character, or null if the text is valid
+     */
+    static findJsonErrorPosition(text) {
+        let index = 0;
+        const fail = () => {
+            throw index;
+        };
+        const skipWhitespace = () => {
+            while (index < text.length && ' \t\n\r'.includes(text[index])) index++;
+        };
+        const expect = (literal) => {
+            for (const character of literal) {
+                if (text[index] !== character) fail();
+                index++;
+            }
+        };
+        const parseString = () => {
+            index++; // Opening quote
+            while (index < text.length && text[index] !== '"') {
+                if (text.charCodeAt(index) < 0x20) fail();
+                if (text[index] === '\\') {
+                    index++;
+                    if (text[index] === 'u') {
+                        if (!/^[0-9a-fA-F]{4}$/.test(text.substr(index + 1, 4))) fail();
+                        index += 4;
+                    } else if (index >= text.length || !'"\\/bfnrt'.includes(text[index])) {
+                        fail();
+                    }
+                }
+                index++;
+            }
+            if (index >= text.length) fail();
+            index++;
+        };
+        const parseValue = () => {
+            skipWhitespace();
+            const character = text[index];
+
+            if (character === '{' || character === '[') {
+                const isObject = character === '{';
+                const closing = isObject ? '}' : ']';
+                index++;
+                skipWhitespace();
+                if (text[index] === closing) {
+                    index++;
+                    return;
+                }
+                while (true) {
+                    if (isObject) {
+                        skipWhitespace();
+                        if (text[index] !== '"') fail();
+                        parseString();
+                        skipWhitespace();
+                        expect(':');
+                    }
+                    parseValue();
+                    skipWhitespace();
+                    if (text[index] !== ',') break;
+                    index++;
+                }
+                expect(closing);
+            } else if (character === '"') {
+                parseString();
+            } else if (character === '-' || (character >= '0' && character <= '9')) {
+                const match = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(index));
+                if (!match) fail();
+                index += match[0].length;
+            } else if (character === 't') {
+                expect('true');
+            } else if (character === 'f') {
+                expect('false');
+            } else if (character === 'n') {
+                expect('null');
+            } else {
+                fail();
+            }
+        };
+
+        try {
+            parseValue();
+            skipWhitespace();
+            if (index < text.length) fail();
+            return null;
+        } catch (position) {
+            return position;
+        }
+    }
+
+    /**
+     * Writes a size in bytes in a readable form, e.g. `512 B` or `12.5 KB`
+     */
+    static formatFileSize(size) {
+        if (size < 1024) return `${size} B`;
+        if (size < 1024 * 1024) return `${Math.round(size / 1024 * 10) / 10} KB`;
+        return `${Math.round(size / (1024 * 1024) * 10) / 10} MB`;
+    }
+
+    /**
+     * Serializes all setting values into a versioned JSON document
+     * @returns {string} The exported settings as JSON
+     */
+    exportSettings() {
+        const exported = {
+            format: 'userscript-config',
+            formatVersion: 1,
+            configId: this.configId,
+            schemaVersion: this.getSchemaVersion(),
+            exportedAt: new Date().toISOString(),
+            values: {}
+        };
+        this.values.forEach((value, id) => {
+            const setting = this.getSettingById(id);
+            exported.values[id] = setting ? this.serializeValue(setting, value) : value;
+        });
+        this.siteOverrides.forEach((overrides, id) => {
+            const setting = this.getSettingById(id);
+            if (!setting || overrides.size === 0) return;
+
+            exported.siteOverrides = exported.siteOverrides || {};
+            exported.siteOverrides[id] = {};
+            overrides.forEach((value, scope) => {
+                exported.siteOverrides[id][scope] = this.serializeValue(setting, value);
+            });
+        });
+        return JSON.stringify(exported, null, 2);
+    }
+
+    /**
+     * Exports the settings and offers them to the user as a JSON file download
+     */
+    downloadSettings() {
+        const blob = new Blob([this.exportSettings()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.configId}-settings.json`;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Imports settings previously produced by exportSettings(). Every value is
+     * checked against its setting definition; rejected values are reported
+     * and not written. Accepted values are written to storage right away.
+     * @param {string|Object} json - The exported JSON document (or its parsed object)
+     * @returns {Promise<Object>} Result `{ success, imported: string[], rejected: Array<{id, reason}>, error }`
+     */
+    async importSettings(json) {
+        const result = { success: false, imported: [], rejected: [], error: null };
+
+        if (!this.isInitialized) {
+            console.warn('Settings not initialized. Call init() first.');
+            result.error = this.getMessage('usc.notInitialized');
+            return result;
+        }
+
+        let data;
+        try {
+            data = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (error) {
+            result.error = this.getJsonSyntaxError(json);
+            return result;
+        }
+
+        if (!data || typeof data !== 'object' || !data.values || typeof data.values !== 'object') {
+            result.error = this.getMessage('usc.notAnExport');
+            return result;
+        }
+
+        if (data.configId && data.configId !== this.configId) {
+            result.error = this.getMessage('usc.wrongConfigId', { configId: data.configId, expected: this.configId });
+            return result;
+        }
+
+        // Exports from an older schema are migrated before they are checked
+        const importedValues = Object.assign({}, data.values);
+        const exportVersion = Number(data.schemaVersion) || 1;
+        try {
+            for (const { migration } of this.getPendingMigrations(exportVersion)) {
+                await this.applyMigration(migration, {
+                    get: (id) => importedValues[id],
+                    set: (id, value) => { importedValues[id] = value; },
+                    delete: (id) => { delete importedValues[id]; }
+                });
+            }
+        } catch (error) {
+            result.error = this.getMessage('usc.migrationFailed', { error: error.message });
+            return result;
+        }
+
+        // Validators see the imported values together with the current ones
+        const candidateValues = this.getAllFieldValues();
+        Object.keys(importedValues).forEach(id => {
+            const setting = this.getSettingById(id);
+            if (setting) {
+                candidateValues[id] = this.deserializeValue(setting, importedValues[id]);
+            }
+        });
+
+        const previousValues = this.getValueSnapshot();
+        for (const id of Object.keys(importedValues)) {
+            const setting = this.getSettingById(id);
+            if (!setting) {
+                result.rejected.push({ id, reason: this.getMessage('usc.unknownSetting') });
+                continue;
+            }
+
+            const value = candidateValues[id];
+            const error = await this.validateValue(setting, value, candidateValues);
+            if (error) {
+                result.rejected.push({ id, reason: error });
+                continue;
+            }
+
+            this.values.set(id, value);
+            result.imported.push(id);
+        }
+
+        // Per-site overrides replace the existing ones of the same setting
+        const importedOverrideIds = [];
+        const importedOverrides = data.siteOverrides && typeof data.siteOverrides === 'object' ? data.siteOverrides : {};
+        for (const id of Object.keys(importedOverrides)) {
+            const setting = this.getSettingById(id);
+            if (!setting || !setting.scopable || !importedOverrides[id] || typeof importedOverrides[id] !== 'object') {
+                result.rejected.push({
+                    id: this.getMessage('usc.siteOverridesOf', { id }),
+                    reason: this.getMessage(setting ? 'usc.notScopable' : 'usc.unknownSetting')
+                });
+                continue;
+            }
+
+            const overrides = new Map();
+            for (const scope of Object.keys(importedOverrides[id])) {
+                const value = this.deserializeValue(setting, importedOverrides[id][scope]);
+                const error = await this.validateValue(setting, value, Object.assign({}, candidateValues, { [id]: value }));
+                if (error) {
+                    result.rejected.push({ id: `${id} (${scope})`, reason: error });
+                } else {
+                    overrides.set(scope, value);
+                }
+            }
+            this.siteOverrides.set(id, overrides);
+            importedOverrideIds.push(id);
+        }
+
+        await Promise.all([
+            ...result.imported.map(id => this.storeFieldValue(id).catch(error => console.error(`Error writing to storage for ${id}:`, error))),
+            ...importedOverrideIds.map(id => this.storeSiteOverrides(id).catch(error => console.error(`Error writing site overrides to storage for ${id}:`, error)))
+        ]);
+
+        this.notifyValueChanges(previousValues, 'import');
+
+        if (result.rejected.length > 0) {
+            console.warn('Some settings were not imported:', result.rejected);
+        }
+
+        // Refresh the dialog with the imported values
+        if (this.currentDialog) {
+            this.reloadDialogValues();
+        }
+
+        result.success = true;
+        return result;
+    }
+
+    /**
+     * Reads a file chosen in the dialog and imports it, reporting the result in the dialog
+     * @param {File} file - The JSON file to import
+     */
+    async importSettingsFromFile(file) {
+        let result;
+        try {
+            result = await this.importSettings(await file.text());
+        } catch (error) {
+            result = { success: false, imported: [], rejected: [], error: error.message };
+        }
+
+        if (!result.success) {
+            this.showDialogStatus(this.getMessage('usc.importFailed', { error: result.error }), true);
+        } else if (result.rejected.length > 0) {
+            const rejectedIds = result.rejected.map(rejected => `${rejected.id} (${rejected.reason})`).join(', ');
+            this.showDialogStatus(this.getMessage('usc.importedWithRejections', { count: result.imported.length, rejected: rejectedIds }), true);
+        } else {
+            this.showDialogStatus(this.getMessage('usc.imported', { count: result.imported.length }), false);
+        }
+
+        // Execute onSettingsImported callback
+        if (this.callbacks.onSettingsImported && typeof this.callbacks.onSettingsImported === 'function') {
+            this.callbacks.onSettingsImported(result);
+        }
+    }
+
+    /**
+     * Shows a message in the dialog's status line
+     * @param {string} message - The message to show
+     * @param {boolean} isError - Whether the message should be styled as an error
+     */
+    showDialogStatus(message, isError) {
+        const statusDiv = this.currentDialog?.querySelector('.usc-dialog-status');
+        if (!statusDiv) return;
+
+        statusDiv.textContent = message;
+        statusDiv.classList.toggle('usc-dialog-status-error', !!isError);
+        statusDiv.style.display = message ? 'block' : 'none';
+    }
+
+    /**
+     * Creates and displays the settings dialog using field values
+     */
+    openSettingsDialog() {
+        if (!this.isInitialized) {
+            console.warn('Settings not initialized. Call init() first.');
+            return null;
+        }
+
+        // Remember the opener, unless the dialog is only opened again
+        if (!this.currentDialog) {
+            this.focusReturnElement = document.activeElement;
+        }
+
+        // Remove any existing dialog
+        this.removeDialogElements();
+
+        // Nothing has been edited in the new dialog yet
+        this.dirtyFields.clear();
+        this.searchQuery = '';
+        this.resetDialogScopeState();
+
+        // Create dialog structure
+        this.currentDialog = this.createDialogStructure(this.config);
+
+        // Add to DOM
+        this.mountDialog(this.currentDialog);
+        UserScriptConfig.openDialogInstances.push(this);
+
+        // Populate with field values
+        this.updateSettingsToDialog();
+        this.updateScopeIndicators();
+        this.updateProfileControls();
+
+        // Set up conditional logic
+        this.setupConditionalLogic();
+
+        // Set up keyboard event handlers
+        this.setupKeyboardHandlers();
+
+        // Set up validation
+        this.setupValidation();
+
+        // Move the focus into the dialog
+        this.focusFirstElement();
+
+        // Execute onDialogOpened callback
+        if (this.callbacks.onDialogOpened && typeof this.callbacks.onDialogOpened === 'function') {
+            this.callbacks.onDialogOpened();
+        }
+
+        return this.currentDialog;
+    }
+
+    /**
+     * Appends the dialog to the page. With `isolation: 'shadow'` the dialog is
+     * mounted inside a shadow root together with the library stylesheet, so the
+     * host page's CSS can't reach it and its styles can't leak into the page.
+     * @param {HTMLElement} overlay - The dialog overlay created by createDialogStructure()
+     */
+    mountDialog(overlay) {
+        if (this.config.isolation !== 'shadow') {
+            this.dialogRoot = document;
+            document.body.appendChild(overlay);
+            return;
+        }
+
+        const host = document.createElement('div');
+        host.className = 'usc-shadow-host';
+        const shadowRoot = host.attachShadow({ mode: 'open' });
+
+        const style = document.createElement('style');
+        style.textContent = this.getIsolatedStyleText();
+        shadowRoot.appendChild(style);
+        shadowRoot.appendChild(overlay);
+
+        this.dialogHost = host;
+        this.dialogRoot = shadowRoot;
+        document.body.appendChild(host);
+    }
+
+    /**
+     * Returns the CSS injected into the shadow root: `config.styleText`, which is
+     * the library stylesheet as loaded by the script (e.g. with `GM_getResourceText()`)
+     */
+    getIsolatedStyleText() {
+        // Stop inherited page styles (fonts, colors, etc.) from leaking into the dialog
+        const hostReset = ':host { all: initial; }\n';
+        if (typeof this.config.styleText !== 'string') {
+            console.warn('No styleText given for isolation: \'shadow\', the settings dialog is unstyled');
+            return hostReset;
+        }
+        return hostReset + this.config.styleText;
+    }
+
+    /**
+     * Builds the DOM id for an element of a setting. Ids are namespaced by the
+     * configId and an instance token, so they can't collide with the host page
+     * or with another UserScriptConfig instance.
+     * @param {string} settingId - The setting ID
+     * @param {string} [suffix] - Optional suffix, e.g. `error` or a radio option value
+     * @returns {string} The DOM id
+     */
+    getDomId(settingId, suffix) {
+        const domId = `usc-${this.configId}-${this.instanceToken}-${settingId}`.replace(/\s+/g, '_');
+        return (suffix === undefined || suffix === null) ? domId : `${domId}-${String(suffix).replace(/\s+/g, '_')}`;
+    }
+
+    /**
+     * Returns the (namespaced) `name` shared by the radio buttons of a setting
+     */
+    getRadioGroupName(setting) {
+        return this.getDomId(setting.groupName || setting.id, 'radio');
+    }
+
+    /**
+     * Finds an element of the open dialog by its DOM id
+     * @param {string} domId - The DOM id, as returned by getDomId()
+     * @returns {HTMLElement|null}
+     */
+    getDialogElement(domId) {
+        if (!this.currentDialog) return null;
+        return this.currentDialog.querySelector(`[id="${this.escapeAttributeValue(domId)}"]`);
+    }
+
+    /**
+     * Finds the row of a setting in the open dialog
+     * @param {string} id - The setting ID
+     * @returns {HTMLElement|null}
+     */
+    getSettingRow(id) {
+        if (!this.currentDialog) return null;
+        return this.currentDialog.querySelector(`.usc-setting-row[data-setting-id="${this.escapeAttributeValue(id)}"]`);
+    }
+
+    /**
+     * Finds the section of a group in the open dialog (with `layout: 'tabs'`,
+     * the tab panel of a top-level group)
+     * @param {string} groupId - The group ID
+     * @returns {HTMLElement|null}
+     */
+    getGroupSection(groupId) {
+        if (!this.currentDialog) return null;
+        const id = this.escapeAttributeValue(groupId);
+        return this.currentDialog.querySelector(`.usc-settings-group[data-group-id="${id}"], .usc-tab-panel[data-group-id="${id}"]`);
+    }
+
+    /**
+     * Finds the tab button of a top-level group in the open dialog
+     * @param {string} groupId - The group ID
+     * @returns {HTMLElement|null}
+     */
+    getTabButton(groupId) {
+        if (!this.currentDialog) return null;
+        return this.currentDialog.querySelector(`.usc-tab[data-group-id="${this.escapeAttributeValue(groupId)}"]`);
+    }
+
+    /**
+     * Finds a group definition by its ID
+     * @param {string} groupId - The group ID
+     * @returns {Object|undefined} The group definition
+     */
+    getGroupById(groupId) {
+        return this.hasValidGroups() ? this.config.groups.find(g => g.id === groupId) : undefined;
+    }
+
+    /**
+     * Returns the IDs of a group and of all groups it is nested in, innermost first
+     * @param {string} groupId - The group ID
+     * @returns {Array<string>} The group IDs (only groups that are defined)
+     */
+    getGroupPath(groupId) {
+        const path = [];
+        let group = this.getGroupById(groupId);
+        // The check for repeated IDs guards against `parentGroupId` cycles
+        while (group && !path.includes(group.id)) {
+            path.push(group.id);
+            group = group.parentGroupId ? this.getGroupById(group.parentGroupId) : undefined;
+        }
+        return path;
+    }
+
+    /**
+     * Escapes a value for use inside a quoted attribute selector
+     */
+    escapeAttributeValue(value) {
+        return String(value).replace(/["\\]/g, '\\$&');
+    }
+
+    /**
+     * Returns the node that contains the dialog: its shadow root when
+     * isolated, the document otherwise
+     */
+    getDialogRoot() {
+        return this.dialogRoot || document;
+    }
+
+    /**
+     * Removes the dialog (and its shadow host, if any) from the page
+     */
+    removeDialogElements() {
+        UserScriptConfig.openDialogInstances = (UserScriptConfig.openDialogInstances || []).filter(instance => instance !== this);
+
+        if (this.currentDialog) {
+            this.currentDialog.remove();
+            this.currentDialog = null;
+        }
+
+        if (this.dialogHost) {
+            this.dialogHost.remove();
+            this.dialogHost = null;
+        }
+
+        this.dialogRoot = null;
+    }
+
+    /**
+     * Updates field values from the dialog inputs (doesn't write to storage)
+     */
+    updateSettingsFromDialog() {
+        if (!this.currentDialog || !this.config.settings) {
+            console.warn('No dialog open or settings not initialized.');
+            return this;
+        }
+
+        this.config.settings.forEach(setting => {
+            // While a site scope is shown, the inputs of scopable settings hold the site's values
+            const value = setting.scopable && this.dialogScope !== null ? this.getDialogGlobalValue(setting) : this.getInputValue(setting);
+            // Hidden settings aren't validated, so an empty number field there keeps the stored value
+            if (!this.isMissingNumber(setting, value)) {
+                this.values.set(setting.id, value);
+            }
+        });
+
+        const siteScope = this.getSiteScope();
+        if (siteScope) {
+            this.pendingOverrides.forEach((value, id) => {
+                if (!this.siteOverrides.has(id)) {
+                    this.siteOverrides.set(id, new Map());
+                }
+                if (value === undefined) {
+                    this.siteOverrides.get(id).delete(siteScope);
+                } else if (!this.isMissingNumber(this.getSettingById(id), value)) {
+                    this.siteOverrides.get(id).set(siteScope, value);
+                }
+            });
+        }
+
+        return this;
+    }
+
+    /**
+     * Updates dialog inputs from field values
+     */
+    updateSettingsToDialog() {
+        if (!this.currentDialog || !this.config.settings) {
+            console.warn('No dialog open or settings not initialized.');
+            return this;
+        }
+
+        this.config.settings.forEach(setting => {
+            const fieldValue = this.getDialogScopeValue(setting);
+            if (fieldValue !== undefined) {
+                this.setInputValue(setting, fieldValue);
+            }
+        });
+
+        // Update group collapse/expand state in dialog
+        this.setDialogGroupStatesFromValues();
+
+        return this;
+    }
+
+    setDialogGroupStatesFromValues() {
+        this.groupStates.forEach((isExpanded, groupId) => {
+            this.setDialogGroupState(groupId, isExpanded);
+        });
+    }
+
+    setDialogGroupState(groupId, isExpanded) {
+        // Only look at the group's own header and content, not at those of nested groups
+        const groupSection = this.getGroupSection(groupId);
+        if (!groupSection) return;
+        const groupContent = groupSection.querySelector(':scope > .usc-settings-group-content');
+        const iconDownward = groupSection.querySelector(':scope > .usc-settings-group-header .icon-downward');
+        const iconUpward = groupSection.querySelector(':scope > .usc-settings-group-header .icon-upward');
+        const header = groupSection.querySelector(':scope > .usc-settings-group-header');
+        if (header) {
+            header.setAttribute('aria-expanded', String(!!isExpanded));
+        }
+        if (groupContent && iconDownward && iconUpward) {
+            if (isExpanded) {
+                groupContent.classList.add('expanded');
+                iconUpward.style.display = 'block';
+                iconDownward.style.display = 'none';
+            } else {
+                groupContent.classList.remove('expanded');
+                iconUpward.style.display = 'none';
+                iconDownward.style.display = 'block';
+            }
+        }
+    }
+
+    /**
+     * Creates the main dialog structure
+     */
+    createDialogStructure(config) {
+        // Create overlay
+        const overlay = document.createElement('div');
+        overlay.className = 'usc-settings-dialog-overlay';
+
+        // Create main dialog container
+        const dialog = document.createElement('div');
+        dialog.className = config.dialogCSSClass || 'usc-settings-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.tabIndex = -1;
+
+        // Create header if specified
+        if (config.headerText) {
+            const header = document.createElement('h2');
+            header.className = config.headerCSSClass || 'usc-dialog-header';
+            header.id = this.getDomId('dialog', 'title');
+            header.textContent = this.translate(config.headerText);
+            dialog.appendChild(header);
+            dialog.setAttribute('aria-labelledby', header.id);
+        } else {
+            dialog.setAttribute('aria-label', this.getMessage('usc.dialogLabel'));
+        }
+
+        // Create search box if enabled
+        if (config.showSearch) {
+            dialog.appendChild(this.createSearchBox());
+        }
+
+        // Create profile controls if enabled
+        if (config.showProfiles) {
+            dialog.appendChild(this.createProfileControls());
+        }
+
+        // Create scope switcher if any setting can be overridden per site
+        if (this.hasScopableSettings() && this.getSiteScope()) {
+            dialog.appendChild(this.createScopeSwitcher());
+        }
+
+        // --- Grouping Logic ---
+        const groupedSettings = new Map(); // Map groupId to an array of settings
+        const childGroupIds = new Map(); // Map groupId to the IDs of the groups nested in it
+        const groupOrder = []; // Stores the order of top-level groups and ungrouped settings
+
+        // Initialize groupOrder, groupedSettings and childGroupIds. Groups appear
+        // where their first setting (or that of a nested group) is defined.
+        if (config.settings && Array.isArray(config.settings)) {
+            const processedGroupIds = new Set();
+            config.settings.forEach(setting => {
+                if (setting.groupId) {
+                    if (!groupedSettings.has(setting.groupId)) {
+                        groupedSettings.set(setting.groupId, []);
+                    }
+                    groupedSettings.get(setting.groupId).push(setting);
+
+                    // Add the group and the groups it is nested in on their first appearance
+                    const groupPath = this.getGroupPath(setting.groupId);
+                    if (groupPath.length === 0) {
+                        groupPath.push(setting.groupId);
+                    }
+                    for (let index = 0; index < groupPath.length; index++) {
+                        const groupId = groupPath[index];
+                        if (processedGroupIds.has(groupId)) break;
+                        processedGroupIds.add(groupId);
+
+                        const parentId = groupPath[index + 1];
+                        if (parentId) {
+                            if (!childGroupIds.has(parentId)) {
+                                childGroupIds.set(parentId, []);
+                            }
+                            childGroupIds.get(parentId).push(groupId);
+                        } else {
+                            groupOrder.push({ type: 'group', id: groupId });
+                        }
+                    }
+                } else {
+                    groupOrder.push({ type: 'setting', setting: setting });
+                }
+            });
+        }
+
+        // Creates the section of a group, including the groups nested in it
+        const createGroupSectionTree = (groupConfig) => this.createGroupSection(
+            groupConfig,
+            groupedSettings.get(groupConfig.id) || [],
+            (childGroupIds.get(groupConfig.id) || []).map(childId => createGroupSectionTree(this.getGroupById(childId)))
+        );
+
+        // With `layout: 'tabs'`, top-level groups become tabs, shown where the first of them would be
+        const useTabs = config.layout === 'tabs';
+        let tabs = null;
+
+        // Render settings based on groupOrder
+        groupOrder.forEach(item => {
+            if (item.type === 'setting') {
+                // Render ungrouped setting directly
+                const table = document.createElement('table');
+                table.className = 'usc-settings-table';
+                const row = this.createSettingRow(item.setting);
+                table.appendChild(row);
+                dialog.appendChild(table);
+            } else if (item.type === 'group') {
+                // Render group section
+                const groupId = item.id;
+                const groupConfig = this.getGroupById(groupId);
+                if (groupConfig && useTabs) {
+                    if (!tabs) {
+                        tabs = this.createTabs();
+                        dialog.appendChild(tabs);
+                    }
+                    this.addTab(tabs, groupConfig, groupedSettings.get(groupId) || [],
+                        (childGroupIds.get(groupId) || []).map(childId => createGroupSectionTree(this.getGroupById(childId))));
+                } else if (groupConfig) {
+                    const groupSection = createGroupSectionTree(groupConfig);
+                    dialog.appendChild(groupSection);
+                } else {
+                    // If group config is missing, just render settings without a group header
+                    const table = document.createElement('table');
+                    table.className = 'usc-settings-table';
+                    groupedSettings.get(groupId).forEach(setting => {
+                        const row = this.createSettingRow(setting);
+                        table.appendChild(row);
+                    });
+                    dialog.appendChild(table);
+                }
+            }
+        });
+        // --- End Grouping Logic ---
+
+        // Create footer
+        const footer = document.createElement('div');
+        footer.className = config.footerCSSClass || 'usc-dialog-footer';
+
+        // Add footer text if specified
+        if (config.footerText) {
+            const footerText = document.createElement('span');
+            footerText.textContent = this.translate(config.footerText);
+            footer.appendChild(footerText);
+        }
+
+        // Create a button for each preset
+        const presets = this.getPresets();
+        if (presets.length > 0) {
+            const presetsDiv = document.createElement('div');
+            presetsDiv.className = 'usc-presets';
+            presets.forEach(preset => {
+                const presetButton = document.createElement('button');
+                presetButton.type = 'button';
+                presetButton.className = 'usc-preset-button';
+                presetButton.textContent = this.translate(preset.name) || preset.id;
+                if (preset.description) {
+                    presetButton.title = this.translate(preset.description);
+                }
+                presetButton.addEventListener('click', () => this.applyPresetToDialog(preset));
+                presetsDiv.appendChild(presetButton);
+            });
+            footer.appendChild(presetsDiv);
+        }
+
+        // Create optional export / import buttons
+        if (config.showExportButton) {
+            const exportButton = document.createElement('button');
+            exportButton.className = config.exportButtonCSSClass || 'usc-export-button';
+            exportButton.textContent = this.translate(config.exportButtonText) || this.getMessage('usc.export');
+            exportButton.addEventListener('click', () => this.downloadSettings());
+            footer.appendChild(exportButton);
+        }
+
+        if (config.showImportButton) {
+            // Hidden file picker, opened by the Import button
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = '.json,application/json';
+            fileInput.style.display = 'none';
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files && fileInput.files[0]) {
+                    this.importSettingsFromFile(fileInput.files[0]);
+                }
+                fileInput.value = '';
+            });
+
+            const importButton = document.createElement('button');
+            importButton.className = config.importButtonCSSClass || 'usc-import-button';
+            importButton.textContent = this.translate(config.importButtonText) || this.getMessage('usc.import');
+            importButton.addEventListener('click', () => fileInput.click());
+
+            footer.appendChild(fileInput);
+            footer.appendChild(importButton);
+        }
+
+        // Create buttons
+        const saveButton = document.createElement('button');
+        saveButton.className = config.saveButtonCSSClass || 'usc-save-button';
+        saveButton.textContent = this.translate(config.saveButtonText) || this.getMessage('usc.save');
+        saveButton.addEventListener('click', () => this.handleSave());
+
+        const cancelButton = document.createElement('button');
+        cancelButton.className = config.cancelButtonCSSClass || 'usc-cancel-button';
+        cancelButton.textContent = this.translate(config.cancelButtonText) || this.getMessage('usc.cancel');
+        cancelButton.addEventListener('click', () => this.handleCancel());
+
+        footer.appendChild(saveButton);
+        footer.appendChild(cancelButton);
+
+        // Status line for messages such as import results
+        const statusDiv = document.createElement('div');
+        statusDiv.className = 'usc-dialog-status';
+        statusDiv.style.display = 'none';
+        dialog.appendChild(statusDiv);
+
+        dialog.appendChild(footer);
+
+        overlay.appendChild(dialog);
+
+        return overlay;
+    }
+
+    /**
+     * Creates the search box that filters the settings shown in the dialog,
+     * and the message shown when nothing matches
+     */
+    createSearchBox() {
+        const searchDiv = document.createElement('div');
+        searchDiv.className = 'usc-search';
+
+        const searchInput = document.createElement('input');
+        searchInput.type = 'search';
+        searchInput.className = 'usc-search-input';
+        searchInput.placeholder = this.translate(this.config.searchPlaceholder) || this.getMessage('usc.searchPlaceholder');
+        searchInput.setAttribute('aria-label', searchInput.placeholder);
+        searchInput.addEventListener('input', () => this.applySearchFilter(searchInput.value));
+        searchInput.addEventListener('keydown', (e) => {
+            // Escape clears the search first, and only closes the dialog once it is empty
+            if (e.key === 'Escape' && searchInput.value !== '') {
+                e.preventDefault();
+                e.stopPropagation();
+                searchInput.value = '';
+                this.applySearchFilter('');
+            }
+        });
+        searchDiv.appendChild(searchInput);
+
+        const noResults = document.createElement('div');
+        noResults.className = 'usc-search-no-results';
+        noResults.style.display = 'none';
+        searchDiv.appendChild(noResults);
+
+        return searchDiv;
+    }
+
+    /**
+     * Shows only the settings whose label, tooltip or id contains the query,
+     * highlights the matched text, and temporarily expands the groups (and
+     * selects a tab) containing matches. Groups are expanded with a separate
+     * class, so the remembered group states and `collapsedIf` are untouched
+     * and apply again once the query is cleared.
+     * @param {string} query - The search text; an empty query shows everything again
+     */
+    applySearchFilter(query) {
+        if (!this.currentDialog || !this.config.settings) return;
+
+        this.searchQuery = query.trim();
+        const needle = this.searchQuery.toLowerCase();
+        const isSearching = needle !== '';
+        this.currentDialog.classList.toggle('usc-search-active', isSearching);
+
+        const matchingGroupIds = new Set();
+        let matchCount = 0;
+        this.config.settings.forEach(setting => {
+            const row = this.getSettingRow(setting.id);
+            if (!row) return;
+
+            // Settings hidden by `visibleIf` never match
+            const isMatch = isSearching && !this.isSettingHidden(setting) && this.settingMatchesSearch(setting, needle);
+            row.classList.toggle('usc-search-hidden', isSearching && !isMatch);
+            this.highlightSearchMatch(row, setting, isMatch ? needle : '');
+
+            if (isMatch) {
+                matchCount++;
+                if (setting.groupId) {
+                    this.getGroupPath(setting.groupId).forEach(groupId => matchingGroupIds.add(groupId));
+                }
+            }
+        });
+
+        if (this.hasValidGroups()) {
+            this.config.groups.forEach(group => {
+                const hasMatch = matchingGroupIds.has(group.id);
+                const groupSection = this.getGroupSection(group.id);
+                if (groupSection) {
+                    groupSection.classList.toggle('usc-search-hidden', isSearching && !hasMatch);
+                    const groupContent = groupSection.querySelector(':scope > .usc-settings-group-content');
+                    if (groupContent) {
+                        groupContent.classList.toggle('usc-search-expanded', isSearching && hasMatch);
+                    }
+                }
+
+                const tabButton = this.getTabButton(group.id);
+                if (tabButton) {
+                    tabButton.classList.toggle('usc-search-hidden', isSearching && !hasMatch);
+                }
+            });
+        }
+
+        if (isSearching) {
+            // Show a tab with matches if the selected one has none
+            const activeTab = this.currentDialog.querySelector('.usc-tab.usc-tab-active');
+            const firstMatchingTab = Array.from(this.currentDialog.querySelectorAll('.usc-tab'))
+                .find(tabButton => matchingGroupIds.has(tabButton.getAttribute('data-group-id')));
+            if (firstMatchingTab && (!activeTab || !matchingGroupIds.has(activeTab.getAttribute('data-group-id')))) {
+                this.selectTab(firstMatchingTab.getAttribute('data-group-id'), false);
+            }
+        } else {
+            this.updateSelectedTab();
+        }
+
+        const noResults = this.currentDialog.querySelector('.usc-search-no-results');
+        if (noResults) {
+            noResults.textContent = this.getMessage('usc.noSearchResults', { query: this.searchQuery });
+            noResults.style.display = isSearching && matchCount === 0 ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Checks whether the label, tooltip or id of a setting contains the (lower case) search text
+     */
+    settingMatchesSearch(setting, needle) {
+        return [this.translate(setting.labelText), this.translate(setting.tooltip), setting.id]
+            .some(text => typeof text === 'string' && text.toLowerCase().includes(needle));
+    }
+
+    /**
+     * Marks the first occurrence of the search text in a setting's label
+     * @param {HTMLElement} row - The setting's row
+     * @param {Object} setting - The setting
+     * @param {string} needle - The lower case search text, or an empty string to remove the mark
+     */
+    highlightSearchMatch(row, setting, needle) {
+        const label = row.querySelector(':scope > td > label');
+        if (!label) return;
+
+        const text = this.translate(setting.labelText) || '';
+        const index = needle ? text.toLowerCase().indexOf(needle) : -1;
+        if (index === -1) {
+            label.textContent = text;
+            return;
+        }
+
+        const mark = document.createElement('mark');
+        mark.className = 'usc-search-highlight';
+        mark.textContent = text.slice(index, index + needle.length);
+
+        label.textContent = '';
+        label.appendChild(document.createTextNode(text.slice(0, index)));
+        label.appendChild(mark);
+        label.appendChild(document.createTextNode(text.slice(index + needle.length)));
+    }
+
+    /**
+     * Creates the profile selector and the buttons to create, duplicate, rename
+     * and delete profiles
+     */
+    createProfileControls() {
+        const profilesDiv = document.createElement('div');
+        profilesDiv.className = 'usc-profiles';
+
+        const label = document.createElement('label');
+        label.textContent = this.translate(this.config.profileLabelText) || this.getMessage('usc.profile');
+        label.setAttribute('for', this.getDomId('profile', 'select'));
+        profilesDiv.appendChild(label);
+
+        const select = document.createElement('select');
+        select.id = this.getDomId('profile', 'select');
+        select.className = 'usc-profile-select';
+        select.addEventListener('change', () => this.switchProfile(select.value));
+        profilesDiv.appendChild(select);
+
+        const actions = [
+            { action: 'new', text: this.getMessage('usc.newProfile'), handler: () => this.promptForProfile(this.getMessage('usc.newProfilePrompt'), '', name => this.createProfile(name)) },
+            { action: 'duplicate', text: this.getMessage('usc.duplicateProfile'), handler: () => this.promptForProfile(this.getMessage('usc.duplicateProfilePrompt'), this.getMessage('usc.profileCopy', { name: this.getActiveProfileName() }), name => this.duplicateProfile(this.activeProfileId, name)) },
+            { action: 'rename', text: this.getMessage('usc.renameProfile'), handler: () => this.promptForProfile(this.getMessage('usc.renameProfilePrompt'), this.getActiveProfileName(), name => this.renameProfile(this.activeProfileId, name)) },
+            { action: 'delete', text: this.getMessage('usc.deleteProfile'), handler: () => this.confirmDeleteProfile() }
+        ];
+        actions.forEach(({ action, text, handler }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'usc-profile-button';
+            button.textContent = text;
+            button.setAttribute('data-action', action);
+            button.addEventListener('click', handler);
+            profilesDiv.appendChild(button);
+        });
+
+        return profilesDiv;
+    }
+
+    /**
+     * Asks for a profile name, and passes a non-empty answer on
+     */
+    async promptForProfile(message, defaultName, callback) {
+        const name = window.prompt(message, defaultName);
+        if (name && name.trim()) {
+            const result = await callback(name);
+            // Switch to a profile that was just created
+            if (typeof result === 'string') {
+                await this.switchProfile(result);
+            }
+        }
+    }
+
+    /**
+     * Asks whether the active profile should be deleted, and deletes it if so
+     */
+    async confirmDeleteProfile() {
+        if (window.confirm(this.getMessage('usc.deleteProfileConfirm', { name: this.getActiveProfileName() }))) {
+            await this.deleteProfile(this.activeProfileId);
+        }
+    }
+
+    /**
+     * Returns the name of the active profile
+     */
+    getActiveProfileName() {
+        const profile = this.profiles.find(p => p.id === this.activeProfileId);
+        return profile ? profile.name : this.activeProfileId;
+    }
+
+    /**
+     * Shows the current profiles in the dialog's profile selector
+     */
+    updateProfileControls() {
+        const select = this.currentDialog?.querySelector('.usc-profile-select');
+        if (!select) return;
+
+        select.textContent = '';
+        this.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+        select.value = this.activeProfileId;
+
+        const deleteButton = this.currentDialog.querySelector('.usc-profile-button[data-action="delete"]');
+        if (deleteButton) {
+            deleteButton.disabled = this.activeProfileId === 'default';
+        }
+    }
+
+    /**
+     * Shows the values of a preset in the dialog. Like edits, they are only
+     * stored when the dialog is saved.
+     * @param {Object} preset - A preset from `config.presets`
+     */
+    applyPresetToDialog(preset) {
+        if (!this.currentDialog) return;
+
+        const settings = Object.keys(preset.values)
+            .map(id => this.getSettingById(id))
+            // Settings that can't be overridden keep their global value in the site scope
+            .filter(setting => setting && (setting.scopable || this.dialogScope === null));
+        settings.forEach(setting => {
+            this.setInputValue(setting, this.coerceValue(setting, preset.values[setting.id]));
+            this.dirtyFields.add(setting.id);
+            if (setting.scopable && this.dialogScope !== null) {
+                this.pendingOverrides.set(setting.id, this.getInputValue(setting));
+            }
+        });
+
+        // Settings disabled by the new values revert to their defaults, as usual
+        this.setupConditionalLogic();
+        this.refreshInputEnabledStates();
+        this.setupValidation();
+        this.updateScopeIndicators();
+
+        this.showDialogStatus(this.getMessage('usc.presetApplied', { name: this.translate(preset.name) || preset.id }), false);
+    }
+
+    /**
+     * Checks whether any setting can be overridden per site
+     */
+    hasScopableSettings() {
+        return !!this.config.settings && this.config.settings.some(setting => setting.scopable);
+    }
+
+    /**
+     * Creates the buttons that switch the dialog between the global values and
+     * the overrides for the current site
+     */
+    createScopeSwitcher() {
+        const switcher = document.createElement('div');
+        switcher.className = 'usc-scope-switcher';
+        switcher.setAttribute('role', 'group');
+
+        const siteScope = this.getSiteScope();
+        const scopes = [
+            { scope: null, text: this.translate(this.config.globalScopeText) || this.getMessage('usc.globalScope') },
+            { scope: siteScope, text: `${this.translate(this.config.siteScopeText) || this.getMessage('usc.siteScope')} (${siteScope})` }
+        ];
+        scopes.forEach(({ scope, text }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'usc-scope-button';
+            button.textContent = text;
+            button.setAttribute('data-scope', scope || '');
+            button.addEventListener('click', () => this.switchDialogScope(scope));
+            switcher.appendChild(button);
+        });
+
+        return switcher;
+    }
+
+    /**
+     * Creates the note shown next to the label of a scopable setting that is
+     * overridden for the current site, with a button that removes the override
+     */
+    createOverrideMarker(setting) {
+        const marker = document.createElement('span');
+        marker.className = 'usc-scope-override';
+        marker.style.display = 'none';
+
+        const text = document.createElement('span');
+        text.className = 'usc-scope-override-text';
+        text.textContent = this.translate(this.config.overriddenText) || this.getMessage('usc.overridden');
+        marker.appendChild(text);
+
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'usc-scope-clear-button';
+        clearButton.textContent = this.translate(this.config.clearOverrideText) || this.getMessage('usc.useGlobal');
+        clearButton.addEventListener('click', () => this.clearPendingOverride(setting));
+        marker.appendChild(clearButton);
+
+        return marker;
+    }
+
+    /**
+     * Resets the scope of the dialog to the global values, and reads the
+     * overrides for the current site as the starting point for editing them
+     */
+    resetDialogScopeState() {
+        this.dialogScope = null;
+        this.pendingGlobalValues.clear();
+        this.pendingOverrides.clear();
+        if (!this.config.settings) return;
+
+        this.config.settings.forEach(setting => {
+            if (setting.scopable) {
+                this.pendingOverrides.set(setting.id, this.getSiteOverride(setting.id));
+            }
+        });
+    }
+
+    /**
+     * Returns the global value of a setting in the open dialog, including changes not saved yet
+     */
+    getDialogGlobalValue(setting) {
+        return this.pendingGlobalValues.has(setting.id) ? this.pendingGlobalValues.get(setting.id) : this.values.get(setting.id);
+    }
+
+    /**
+     * Returns the value of a setting in the scope shown in the dialog, including
+     * changes not saved yet. Settings without an override show the global value.
+     */
+    getDialogScopeValue(setting) {
+        const override = setting.scopable && this.dialogScope !== null ? this.pendingOverrides.get(setting.id) : undefined;
+        return override === undefined ? this.getDialogGlobalValue(setting) : override;
+    }
+
+    /**
+     * Switches the dialog between editing the global values and the overrides for
+     * the current site. Edits made in either scope are kept until the dialog is saved.
+     * @param {string|null} scope - The site scope, or null for the global values
+     */
+    switchDialogScope(scope) {
+        if (!this.currentDialog || !this.config.settings || scope === this.dialogScope) return;
+
+        const scopableSettings = this.config.settings.filter(setting => setting.scopable);
+        if (this.dialogScope === null) {
+            // Keep the global values edited so far, since the inputs are about to show the site's values
+            scopableSettings.forEach(setting => {
+                if (this.dirtyFields.has(setting.id)) {
+                    this.pendingGlobalValues.set(setting.id, this.getInputValue(setting));
+                }
+            });
+        }
+
+        this.dialogScope = scope;
+        scopableSettings.forEach(setting => this.setInputValue(setting, this.getDialogScopeValue(setting)));
+        if (scope === null) {
+            // The inputs hold the global values again
+            this.pendingGlobalValues.clear();
+        }
+
+        this.setupConditionalLogic();
+        this.refreshInputEnabledStates();
+        this.setupValidation();
+        this.updateScopeIndicators();
+    }
+
+    /**
+     * Applies the enabled state of every setting to its inputs again, since
+     * settings that can't be overridden are only editable in the global scope
+     */
+    refreshInputEnabledStates() {
+        this.config.settings.forEach(setting => this.setInputEnabled(setting, !this.disabledFields.has(setting.id)));
+    }
+
+    /**
+     * Replaces the open dialog with a newly created one, e.g. after the locale
+     * changed. Values that weren't saved yet, the scope, the search and the
+     * focused input are kept.
+     */
+    renderDialogAgain() {
+        const oldDialog = this.currentDialog;
+        const inputValues = new Map(this.config.settings.map(setting => [setting.id, this.getInputValue(setting)]));
+        const scrollTop = oldDialog.firstElementChild ? oldDialog.firstElementChild.scrollTop : 0;
+        const activeElement = this.getDialogRoot().activeElement;
+        const focusedId = activeElement && oldDialog.contains(activeElement) ? activeElement.id : '';
+        const searchQuery = this.searchQuery;
+        this.recordingHotkeyId = null;
+
+        this.currentDialog = this.createDialogStructure(this.config);
+        oldDialog.replaceWith(this.currentDialog);
+
+        this.config.settings.forEach(setting => {
+            const value = inputValues.get(setting.id);
+            if (value !== undefined) {
+                this.setInputValue(setting, value);
+            }
+        });
+        this.setDialogGroupStatesFromValues();
+        this.setupConditionalLogic();
+        this.refreshInputEnabledStates();
+        this.setupValidation();
+        this.updateScopeIndicators();
+        this.updateProfileControls();
+
+        if (searchQuery) {
+            const searchInput = this.currentDialog.querySelector('.usc-search-input');
+            if (searchInput) {
+                searchInput.value = searchQuery;
+                this.applySearchFilter(searchQuery);
+            }
+        }
+
+        if (this.currentDialog.firstElementChild) {
+            this.currentDialog.firstElementChild.scrollTop = scrollTop;
+        }
+        const focusedElement = focusedId ? this.getDialogElement(focusedId) : null;
+        if (focusedElement) {
+            focusedElement.focus();
+        } else {
+            this.focusFirstElement();
+        }
+    }
+
+    /**
+     * Shows the current values in the open dialog again (in the global scope),
+     * discarding edits that weren't saved
+     */
+    reloadDialogValues() {
+        this.dirtyFields.clear();
+        this.resetDialogScopeState();
+        this.updateSettingsToDialog();
+        this.setupConditionalLogic();
+        this.refreshInputEnabledStates();
+        this.setupValidation();
+        this.updateScopeIndicators();
+    }
+
+    /**
+     * Removes the (unsaved) override of a setting for the current site in the dialog
+     */
+    clearPendingOverride(setting) {
+        this.pendingOverrides.set(setting.id, undefined);
+        if (this.dialogScope !== null) {
+            this.setInputValue(setting, this.getDialogScopeValue(setting));
+            this.validateInput(setting);
+            this.updateDependentStates(setting);
+        }
+        this.updateScopeIndicators();
+    }
+
+    /**
+     * Marks the selected scope button, the settings overridden for the current
+     * site, and the settings that can only be edited in the global scope
+     */
+    updateScopeIndicators() {
+        if (!this.currentDialog || !this.config.settings) return;
+
+        this.currentDialog.querySelectorAll('.usc-scope-button').forEach(button => {
+            const isSelected = (button.getAttribute('data-scope') || null) === this.dialogScope;
+            button.classList.toggle('usc-scope-active', isSelected);
+            button.setAttribute('aria-pressed', String(isSelected));
+        });
+
+        this.config.settings.forEach(setting => {
+            const row = this.getSettingRow(setting.id);
+            if (!row) return;
+
+            const isOverridden = !!setting.scopable && this.pendingOverrides.get(setting.id) !== undefined;
+            row.classList.toggle('usc-setting-overridden', isOverridden);
+            row.classList.toggle('usc-setting-global-only', this.dialogScope !== null && !setting.scopable);
+
+            const marker = row.querySelector('.usc-scope-override');
+            if (marker) {
+                marker.style.display = isOverridden ? '' : 'none';
+            }
+        });
+    }
+
+    /**
+     * Creates a group section with a header and collapsible content.
+     * @param {Object} groupConfig - The configuration for the group (id, name, expanded, description).
+     * @param {Array} settingsInGroup - An array of setting objects belonging to this group.
+     * @param {Array<HTMLElement>} [nestedSections] - The sections of the groups nested in this group.
+     * @returns {HTMLElement} The group section element.
+     */
+    createGroupSection(groupConfig, settingsInGroup, nestedSections = []) {
+        const groupDiv = document.createElement('div');
+        groupDiv.className = groupConfig.parentGroupId ? 'usc-settings-group usc-settings-group-nested' : 'usc-settings-group';
+        groupDiv.setAttribute('data-group-id', groupConfig.id);
+
+        const headerDiv = document.createElement('div');
+        headerDiv.className = 'usc-settings-group-header';
+        headerDiv.setAttribute('role', 'button');
+        headerDiv.setAttribute('tabindex', '0');
+        headerDiv.setAttribute('aria-expanded', 'false');
+        headerDiv.setAttribute('aria-controls', this.getDomId(groupConfig.id, 'group-content'));
+        headerDiv.addEventListener('click', () => this.toggleGroup(groupConfig.id));
+        headerDiv.addEventListener('keydown', (e) => {
+            // Only the header itself, not keys bubbling up from nested content
+            if (e.target !== headerDiv || (e.key !== 'Enter' && e.key !== ' ')) return;
+            e.preventDefault();
+            this.toggleGroup(groupConfig.id);
+        });
+
+        const title = document.createElement('h3');
+        title.textContent = this.translate(groupConfig.name);
+        headerDiv.appendChild(title);
+
+        const toggleIconSpan = document.createElement('span');
+        toggleIconSpan.className = 'usc-settings-group-toggle';
+
+        // Create a div just to fetch a rendered SVG
+        const collapsedIconDiv = document.createElement('div');
+        collapsedIconDiv.className = 'icon-downward';
+        collapsedIconDiv.innerHTML = this.collapsedIconSVG;
+        collapsedIconDiv.style.display = 'block'; // Initially show the collapsed icon
+        toggleIconSpan.appendChild(collapsedIconDiv);
+
+        const expandedIconDiv = document.createElement('div');
+        expandedIconDiv.className = 'icon-upward';
+        expandedIconDiv.innerHTML = this.expandedIconSVG;
+        expandedIconDiv.style.display = 'none'; // Initially hide the expanded icon
+        toggleIconSpan.appendChild(expandedIconDiv);
+
+        headerDiv.appendChild(toggleIconSpan);
+
+        groupDiv.appendChild(headerDiv);
+
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'usc-settings-group-content';
+        contentDiv.id = this.getDomId(groupConfig.id, 'group-content');
+        this.appendGroupContent(contentDiv, groupConfig, settingsInGroup, nestedSections);
+        groupDiv.appendChild(contentDiv);
+
+        return groupDiv;
+    }
+
+    /**
+     * Fills the content of a group section or tab panel: the group's description,
+     * its settings and the sections of the groups nested in it
+     */
+    appendGroupContent(contentDiv, groupConfig, settingsInGroup, nestedSections) {
+        if (groupConfig.description) {
+            const description = document.createElement('p');
+            description.className = 'usc-settings-group-description';
+            description.textContent = this.translate(groupConfig.description);
+            contentDiv.appendChild(description);
+        }
+
+        if (settingsInGroup.length > 0) {
+            const table = document.createElement('table');
+            table.className = 'usc-settings-table';
+
+            settingsInGroup.forEach(setting => {
+                const row = this.createSettingRow(setting);
+                table.appendChild(row);
+            });
+
+            contentDiv.appendChild(table);
+        }
+
+        nestedSections.forEach(section => contentDiv.appendChild(section));
+    }
+
+    /**
+     * Creates the (still empty) tab bar and panel container for `layout: 'tabs'`
+     * @returns {HTMLElement} The tabs container
+     */
+    createTabs() {
+        const tabs = document.createElement('div');
+        tabs.className = 'usc-tabs';
+
+        const tabList = document.createElement('div');
+        tabList.className = 'usc-tab-list';
+        tabList.setAttribute('role', 'tablist');
+        tabs.appendChild(tabList);
+
+        return tabs;
+    }
+
+    /**
+     * Adds a top-level group as a tab
+     * @param {HTMLElement} tabs - The container created by createTabs()
+     * @param {Object} groupConfig - The group
+     * @param {Array} settingsInGroup - The settings directly in the group
+     * @param {Array<HTMLElement>} nestedSections - The sections of the groups nested in it
+     */
+    addTab(tabs, groupConfig, settingsInGroup, nestedSections) {
+        const tabButton = document.createElement('button');
+        tabButton.type = 'button';
+        tabButton.className = 'usc-tab';
+        tabButton.id = this.getDomId(groupConfig.id, 'tab');
+        tabButton.setAttribute('role', 'tab');
+        tabButton.setAttribute('data-group-id', groupConfig.id);
+        tabButton.setAttribute('aria-controls', this.getDomId(groupConfig.id, 'tabpanel'));
+        tabButton.textContent = this.translate(groupConfig.name);
+        tabButton.addEventListener('click', () => this.selectTab(groupConfig.id));
+        tabs.querySelector('.usc-tab-list').appendChild(tabButton);
+
+        const tabPanel = document.createElement('div');
+        tabPanel.className = 'usc-tab-panel';
+        tabPanel.id = this.getDomId(groupConfig.id, 'tabpanel');
+        tabPanel.setAttribute('role', 'tabpanel');
+        tabPanel.setAttribute('data-group-id', groupConfig.id);
+        tabPanel.setAttribute('aria-labelledby', tabButton.id);
+        this.appendGroupContent(tabPanel, groupConfig, settingsInGroup, nestedSections);
+        tabs.appendChild(tabPanel);
+    }
+
+    /**
+     * Shows the tab of a top-level group (with `layout: 'tabs'`) and remembers it
+     * @param {string} groupId - The ID of the top-level group
+     * @param {boolean} [remember] - Whether to store the selection, true by default
+     */
+    async selectTab(groupId, remember = true) {
+        if (!this.currentDialog) return;
+
+        this.currentDialog.querySelectorAll('.usc-tab').forEach(tabButton => {
+            const isSelected = tabButton.getAttribute('data-group-id') === groupId;
+            tabButton.classList.toggle('usc-tab-active', isSelected);
+            tabButton.setAttribute('aria-selected', String(isSelected));
+        });
+        this.currentDialog.querySelectorAll('.usc-tab-panel').forEach(tabPanel => {
+            tabPanel.classList.toggle('usc-tab-panel-active', tabPanel.getAttribute('data-group-id') === groupId);
+        });
+
+        if (!remember || this.selectedTabId === groupId) return;
+        this.selectedTabId = groupId;
+
+        // Update storage immediately, like group states
+        try {
+            await this.setValueIntoStorage(this.getStorageKey('tabState.selected'), groupId);
+        } catch (error) {
+            console.error('Error writing the selected tab to storage:', error);
+        }
+    }
+
+    /**
+     * Shows the remembered tab, or the first visible one if that tab doesn't
+     * exist or is hidden by `visibleIf`
+     */
+    updateSelectedTab() {
+        if (!this.currentDialog) return;
+
+        const visibleTabIds = Array.from(this.currentDialog.querySelectorAll('.usc-tab'))
+            .map(tabButton => tabButton.getAttribute('data-group-id'))
+            .filter(groupId => !this.hiddenGroups.has(groupId));
+        if (visibleTabIds.length === 0) return;
+
+        if (visibleTabIds.includes(this.selectedTabId)) {
+            this.selectTab(this.selectedTabId, false);
+        } else {
+            this.selectTab(visibleTabIds[0], false);
+        }
+    }
+
+    /**
+     * Marks the tabs that contain a setting which is invalid, so that errors
+     * in other tabs than the selected one are noticed
+     */
+    updateTabValidityStates() {
+        if (!this.currentDialog || !this.config.settings) return;
+
+        this.currentDialog.querySelectorAll('.usc-tab').forEach(tabButton => {
+            const groupId = tabButton.getAttribute('data-group-id');
+            const hasInvalidSetting = this.config.settings.some(setting =>
+                setting.groupId && this.validationState.get(setting.id) === false && this.getGroupPath(setting.groupId).includes(groupId));
+            tabButton.classList.toggle('usc-tab-invalid', hasInvalidSetting);
+        });
+    }
+
+    /**
+     * Toggles the expanded/collapsed state of a group.
+     * @param {string} groupId - The ID of the group to toggle.
+     */
+    async toggleGroup(groupId) {
+        const groupSection = this.getGroupSection(groupId);
+        const groupContent = groupSection && groupSection.querySelector(':scope > .usc-settings-group-content');
+        if (!groupContent) return;
+        const isExpanded = groupContent.classList.contains('expanded');
+        const newExpandedState = !isExpanded;
+        this.groupStates.set(groupId, newExpandedState);
+
+        // Update the UI (only this group, others may follow their `collapsedIf`)
+        this.setDialogGroupState(groupId, newExpandedState);
+
+        // Update storage immediately for group states
+        try {
+            const storageKey = this.getStorageKey(`groupState.${groupId}`);
+            await this.setValueIntoStorage(storageKey, newExpandedState);
+        } catch (error) {
+            console.error(`Error writing group state to storage for ${groupId}:`, error);
+        }
+    }
+
+    /**
+     * Creates a single setting row
+     */
+    createSettingRow(setting) {
+        const row = document.createElement('tr');
+        row.className = 'usc-setting-row';
+        row.setAttribute('data-setting-id', setting.id);
+        if (setting.tooltip) {
+            row.title = this.translate(setting.tooltip);
+        }
+
+        // Create label cell
+        const labelCell = document.createElement('td');
+        labelCell.className = setting.labelCSSClass || 'usc-setting-label';
+        const label = document.createElement('label');
+        label.textContent = this.translate(setting.labelText);
+        label.setAttribute('for', this.getDomId(setting.id));
+        labelCell.appendChild(label);
+
+        if (setting.scopable && this.getSiteScope()) {
+            labelCell.appendChild(this.createOverrideMarker(setting));
+        }
+
+        // Create input cell
+        const inputCell = document.createElement('td');
+        inputCell.className = 'usc-setting-input-cell';
+
+        // Create input element based on type
+        const inputElement = this.createInputElement(setting);
+        if (inputElement) { // Ensure inputElement is not null
+            inputCell.appendChild(inputElement);
+        }
+
+        // Add error message container for validation
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'usc-validation-error';
+        errorDiv.id = this.getDomId(setting.id, 'error');
+        errorDiv.setAttribute('aria-live', 'polite');
+        errorDiv.style.display = 'none';
+        inputCell.appendChild(errorDiv);
+
+        row.appendChild(labelCell);
+        row.appendChild(inputCell);
+
+        return row;
+    }
+
+    /**
+     * Registers a field type for all instances. A field type is an object with
+     * these functions (only the first three are required):
+     *  - `create(setting, context)`: Returns the element shown in the dialog. The
+     *    main input should get `context.id`, and changes should call `context.onChange()`.
+     *  - `getValue(element, setting, context)`: Reads the value from the element.
+     *  - `setValue(element, value, setting, context)`: Shows a value in the element.
+     *  - `validate(value, setting, context)`: Returns an error message (or `false`)
+     *    for an invalid, non-empty value.
+     *  - `serialize(value, setting)` / `deserialize(storedValue, setting)`: Convert
+     *    the value for storage and exports, and back.
+     * It may also set `valueType` (see getValueType()). Registering the name of an
+     * existing type replaces it.
+     * @param {string} name - The name used as `type` in setting definitions
+     * @param {Object} definition - The field type
+     * @returns {boolean} True if the field type was registered
+     */
+    static registerFieldType(name, definition) {
+        if (!UserScriptConfig.isValidFieldType(name, definition)) return false;
+
+        UserScriptConfig.getFieldTypes().set(name, definition);
+        return true;
+    }
+
+    /**
+     * Returns the field types shared by all instances, starting with the built-in ones
+     * @returns {Map<string, Object>} Field types by name
+     */
+    static getFieldTypes() {
+        if (!UserScriptConfig.fieldTypes) {
+            UserScriptConfig.fieldTypes = UserScriptConfig.createBuiltInFieldTypes();
+        }
+        return UserScriptConfig.fieldTypes;
+    }
+
+    /**
+     * Checks that a field type has a name and the required functions
+     */
+    static isValidFieldType(name, definition) {
+        if (typeof name !== 'string' || name === '') {
+            console.error('Field type name must be a non-empty string');
+            return false;
+        }
+
+        const missing = ['create', 'getValue', 'setValue'].filter(fn => !definition || typeof definition[fn] !== 'function');
+        if (missing.length > 0) {
+            console.error(`Field type '${name}' is missing: ${missing.join(', ')}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Registers a field type for this instance only, taking precedence over the
+     * field types registered with UserScriptConfig.registerFieldType(). Field types
+     * in `config.fieldTypes` are registered this way.
+     * @param {string} name - The name used as `type` in setting definitions
+     * @param {Object} definition - The field type
+     * @returns {boolean} True if the field type was registered
+     */
+    registerFieldType(name, definition) {
+        if (!UserScriptConfig.isValidFieldType(name, definition)) return false;
+
+        this.fieldTypes.set(name, definition);
+        return true;
+    }
+
+    /**
+     * Finds the field type of a setting type
+     * @param {string} [type] - The setting's `type`, `textbox` if omitted
+     * @returns {Object|null} The field type, or null if it is unknown
+     */
+    getFieldType(type) {
+        const name = type || 'textbox';
+        return this.fieldTypes.get(name) || UserScriptConfig.getFieldTypes().get(name) || null;
+    }
+
+    /**
+     * Creates the context passed to the functions of a field type
+     */
+    getFieldContext(setting) {
+        return {
+            instance: this,
+            id: this.getDomId(setting.id),
+            inputClass: setting.inputCSSClass || 'usc-setting-input',
+            getDomId: (suffix) => this.getDomId(setting.id, suffix),
+            onChange: () => this.handleInputChange(setting),
+            isDisabled: () => this.isInputDisabled(setting)
+        };
+    }
+
+    /**
+     * Creates the built-in field types
+     * @returns {Map<string, Object>} Field types by name
+     */
+    static createBuiltInFieldTypes() {
+        const toText = value => (value === null || value === undefined) ? '' : String(value);
+
+        // A single <input> whose value is text
+        const textField = (inputType, valueType) => ({
+            valueType,
+            create: (setting, context) => {
+                const input = document.createElement('input');
+                input.type = inputType;
+                input.id = context.id;
+                input.className = context.inputClass;
+                if (setting.placeholder) {
+                    input.placeholder = context.instance.translate(setting.placeholder);
+                }
+                input.addEventListener('input', context.onChange);
+                return input;
+            },
+            getValue: (element, setting, context) => context.instance.coerceValue(setting, element.value),
+            setValue: (element, value) => {
+                element.value = toText(value);
+            }
+        });
+
+        // A number input with an optional unit, or a slider showing its value
+        const numberField = (valueType) => ({
+            valueType,
+            create: (setting, context) => {
+                const numberWrapper = document.createElement('span');
+                numberWrapper.className = 'usc-number-input';
+
+                const numberInput = document.createElement('input');
+                numberInput.type = 'number';
+                numberInput.id = context.id;
+                numberInput.className = context.inputClass;
+                context.instance.applyNumericAttributes(numberInput, setting);
+                if (valueType === 'integer' && setting.step === undefined) {
+                    numberInput.step = '1';
+                }
+                if (setting.placeholder) {
+                    numberInput.placeholder = context.instance.translate(setting.placeholder);
+                }
+                numberInput.addEventListener('input', context.onChange);
+                numberWrapper.appendChild(numberInput);
+
+                if (setting.unit) {
+                    const unitSpan = document.createElement('span');
+                    unitSpan.className = 'usc-input-unit';
+                    unitSpan.textContent = context.instance.translate(setting.unit);
+                    numberWrapper.appendChild(unitSpan);
+                }
+
+                return numberWrapper;
+            },
+            // An empty or unparsable number field reads as null, which validation reports
+            getValue: (element, setting, context) => context.instance.coerceValue(setting, element.querySelector('input').value),
+            setValue: (element, value) => {
+                element.querySelector('input').value = toText(value);
+            }
+        });
+
+        // Dates and times are ISO strings in local time, which compare correctly as text
+        const isValidDate = (date) => {
+            const parsed = new Date(`${date}T00:00:00Z`);
+            return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+        };
+        const isValidTime = (time) => {
+            const [hours, minutes, seconds] = time.split(':').map(Number);
+            return hours < 24 && minutes < 60 && (seconds === undefined || seconds < 60);
+        };
+        const dateField = (inputType, isValid, errorMessageKey) => ({
+            valueType: 'string',
+            create: (setting, context) => {
+                const dateInput = document.createElement('input');
+                dateInput.type = inputType;
+                dateInput.id = context.id;
+                dateInput.className = context.inputClass;
+                context.instance.applyNumericAttributes(dateInput, setting);
+                dateInput.addEventListener('input', context.onChange);
+                dateInput.addEventListener('change', context.onChange);
+                return dateInput;
+            },
+            getValue: (element) => element.value,
+            setValue: (element, value) => {
+                element.value = toText(value);
+            },
+            validate: (value, setting, context) => {
+                if (typeof value !== 'string' || !isValid(value)) {
+                    return context.instance.getMessage(errorMessageKey);
+                }
+                if (typeof setting.min === 'string' && setting.min && value < setting.min) {
+                    return context.instance.getMessage('usc.notBefore', { min: setting.min });
+                }
+                if (typeof setting.max === 'string' && setting.max && value > setting.max) {
+                    return context.instance.getMessage('usc.notAfter', { max: setting.max });
+                }
+                return null;
+            }
+        });
+
+        // A multiline text, or JSON shown as formatted text
+        const textareaField = (isJson) => ({
+            valueType: isJson ? 'any' : 'string',
+            create: (setting, context) => {
+                const textarea = document.createElement('textarea');
+                textarea.id = context.id;
+                textarea.className = context.inputClass;
+                textarea.rows = setting.rows || (isJson ? 8 : 4);
+                textarea.style.resize = setting.resize || 'vertical';
+                if (isJson || setting.code) {
+                    // Code and JSON: monospaced, no spell checking or auto-correction
+                    textarea.classList.add('usc-code-editor');
+                    textarea.spellcheck = false;
+                    textarea.setAttribute('autocapitalize', 'off');
+                    textarea.setAttribute('autocomplete', 'off');
+                }
+                if (setting.placeholder) {
+                    textarea.placeholder = context.instance.translate(setting.placeholder);
+                }
+                textarea.addEventListener('input', context.onChange);
+                return textarea;
+            },
+            getValue: (element) => {
+                if (!isJson) return element.value;
+
+                // Empty means null; text that doesn't parse has no value (see getInputSyntaxError())
+                if (element.value.trim() === '') return null;
+                try {
+                    return JSON.parse(element.value);
+                } catch (error) {
+                    return undefined;
+                }
+            },
+            setValue: (element, value) => {
+                if (isJson) {
+                    element.value = (value === null || value === undefined) ? '' : JSON.stringify(value, null, 2);
+                } else {
+                    element.value = toText(value);
+                }
+            }
+        });
+
+        return new Map(Object.entries({
+            textbox: textField('text', 'string'),
+            password: textField('password', 'string'),
+
+            checkbox: {
+                valueType: 'boolean',
+                create: (setting, context) => {
+                    const checkboxInput = document.createElement('input');
+                    checkboxInput.type = 'checkbox';
+                    checkboxInput.id = context.id;
+                    checkboxInput.className = context.inputClass;
+                    checkboxInput.addEventListener('change', context.onChange);
+                    return checkboxInput;
+                },
+                getValue: (element) => element.checked,
+                setValue: (element, value) => {
+                    element.checked = value === 'true' || value === true;
+                }
+            },
+
+            radio: {
+                valueType: 'string',
+                create: (setting, context) => {
+                    const radioContainer = document.createElement('fieldset');
+                    radioContainer.className = 'usc-radio-group';
+                    radioContainer.id = context.id;
+
+                    // The row's label can't point to a group of inputs, so the legend names it
+                    const legend = document.createElement('legend');
+                    legend.className = 'usc-radio-legend';
+                    legend.textContent = context.instance.translate(setting.labelText);
+                    radioContainer.appendChild(legend);
+
+                    (Array.isArray(setting.options) ? setting.options : []).forEach(option => {
+                        const radioWrapper = document.createElement('div');
+                        radioWrapper.className = 'usc-radio-option';
+
+                        const radioInput = document.createElement('input');
+                        radioInput.type = 'radio';
+                        radioInput.id = context.getDomId(option.value);
+                        radioInput.name = context.instance.getRadioGroupName(setting);
+                        radioInput.value = option.value;
+                        radioInput.className = context.inputClass;
+                        radioInput.addEventListener('change', context.onChange);
+
+                        const radioLabel = document.createElement('label');
+                        radioLabel.setAttribute('for', context.getDomId(option.value));
+                        radioLabel.textContent = context.instance.translate(option.text);
+
+                        radioWrapper.appendChild(radioInput);
+                        radioWrapper.appendChild(radioLabel);
+                        radioContainer.appendChild(radioWrapper);
+                    });
+
+                    return radioContainer;
+                },
+                getValue: (element, setting, context) => {
+                    const checkedRadio = element.querySelector('input[type="radio"]:checked');
+                    return checkedRadio ? context.instance.coerceValue(setting, checkedRadio.value) : '';
+                },
+                setValue: (element, value) => {
+                    element.querySelectorAll('input[type="radio"]').forEach(radio => {
+                        radio.checked = radio.value === String(value);
+                    });
+                }
+            },
+
+            dropdown: {
+                valueType: 'string',
+                create: (setting, context) => {
+                    const selectInput = document.createElement('select');
+                    selectInput.id = context.id;
+                    selectInput.className = context.inputClass;
+                    selectInput.addEventListener('change', context.onChange);
+
+                    (Array.isArray(setting.options) ? setting.options : []).forEach(option => {
+                        const optionElement = document.createElement('option');
+                        optionElement.value = option.value;
+                        optionElement.textContent = context.instance.translate(option.text);
+                        selectInput.appendChild(optionElement);
+                    });
+
+                    return selectInput;
+                },
+                getValue: (element, setting, context) => context.instance.coerceValue(setting, element.value),
+                setValue: (element, value) => {
+                    element.value = toText(value);
+                }
+            },
+
+            number: numberField('number'),
+            integer: numberField('integer'),
+
+            slider: {
+                valueType: 'number',
+                create: (setting, context) => {
+                    const sliderWrapper = document.createElement('span');
+                    sliderWrapper.className = 'usc-slider';
+
+                    const sliderInput = document.createElement('input');
+                    sliderInput.type = 'range';
+                    sliderInput.id = context.id;
+                    sliderInput.className = context.inputClass;
+                    context.instance.applyNumericAttributes(sliderInput, setting);
+
+                    // Shows the current value (and unit) next to the slider
+                    const sliderValue = document.createElement('span');
+                    sliderValue.className = 'usc-slider-value';
+                    sliderValue.id = context.getDomId('value');
+
+                    sliderInput.addEventListener('input', () => {
+                        context.instance.updateSliderValueLabel(setting, sliderInput.value);
+                        context.onChange();
+                    });
+
+                    sliderWrapper.appendChild(sliderInput);
+                    sliderWrapper.appendChild(sliderValue);
+                    return sliderWrapper;
+                },
+                getValue: (element, setting, context) => context.instance.coerceValue(setting, element.querySelector('input').value),
+                setValue: (element, value, setting, context) => {
+                    const sliderInput = element.querySelector('input');
+                    sliderInput.value = String(value);
+                    context.instance.updateSliderValueLabel(setting, sliderInput.value);
+                }
+            },
+
+            list: {
+                valueType: 'array',
+                create: (setting, context) => context.instance.createListEditor(setting, context.inputClass),
+                getValue: (element, setting, context) => context.instance.getListItems(setting),
+                setValue: (element, value, setting, context) => {
+                    context.instance.renderListItems(setting, context.instance.coerceValue(setting, value) || []);
+                }
+            },
+
+            table: {
+                valueType: 'table',
+                create: (setting, context) => context.instance.createTableEditor(setting),
+                getValue: (element, setting, context) => context.instance.getTableRows(setting),
+                setValue: (element, value, setting, context) => {
+                    context.instance.renderTableRows(setting, context.instance.coerceValue(setting, value) || []);
+                },
+                validate: (value, setting, context) => {
+                    for (let index = 0; index < value.length; index++) {
+                        const errors = context.instance.getTableRowErrors(setting, value[index]);
+                        const column = (setting.columns || []).find(c => errors[c.id]);
+                        if (column) {
+                            return context.instance.getMessage('usc.tableRowError', {
+                                row: index + 1,
+                                column: context.instance.translate(column.labelText) || column.id,
+                                error: errors[column.id]
+                            });
+                        }
+                    }
+                    return null;
+                }
+            },
+
+            hotkey: {
+                valueType: 'string',
+                create: (setting, context) => context.instance.createHotkeyRecorder(setting, context.inputClass),
+                getValue: (element) => element.querySelector('input').value,
+                setValue: (element, value, setting, context) => {
+                    element.querySelector('input').value = UserScriptConfig.normalizeHotkey(value);
+                    context.instance.updateHotkeyWarnings();
+                }
+            },
+
+            color: {
+                valueType: 'string',
+                create: (setting, context) => context.instance.createColorInput(setting, context.inputClass),
+                getValue: (element, setting) => {
+                    const color = UserScriptConfig.parseColor(element.querySelector('input[type="color"]').value);
+                    if (!color) return '';
+
+                    const alphaInput = element.querySelector('.usc-color-alpha');
+                    color.a = alphaInput ? Number(alphaInput.value) / 100 : 1;
+                    return UserScriptConfig.formatColor(color, setting.colorFormat, !!setting.alpha);
+                },
+                setValue: (element, value, setting, context) => {
+                    const color = UserScriptConfig.parseColor(value) || { r: 0, g: 0, b: 0, a: 1 };
+                    element.querySelector('input[type="color"]').value = UserScriptConfig.formatColor(color, 'hex', false);
+
+                    const alphaInput = element.querySelector('.usc-color-alpha');
+                    if (alphaInput) alphaInput.value = String(Math.round(color.a * 100));
+                    context.instance.updateColorValueLabel(setting);
+                },
+                validate: (value, setting, context) => UserScriptConfig.parseColor(value) ? null : context.instance.getMessage('usc.invalidColor')
+            },
+
+            date: dateField('date', value => /^\d{4}-\d{2}-\d{2}$/.test(value) && isValidDate(value), 'usc.invalidDate'),
+            time: dateField('time', value => /^\d{2}:\d{2}(:\d{2})?$/.test(value) && isValidTime(value), 'usc.invalidTime'),
+            datetime: dateField('datetime-local', value => {
+                const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}(:\d{2})?)$/.exec(value);
+                return !!match && isValidDate(match[1]) && isValidTime(match[2]);
+            }, 'usc.invalidDateTime'),
+
+            file: {
+                valueType: 'string',
+                create: (setting, context) => context.instance.createFileInput(setting, context.inputClass),
+                getValue: (element) => element.querySelector('input[type="file"]').getAttribute('data-value') || '',
+                setValue: (element, value, setting, context) => {
+                    context.instance.setFileInputValue(setting, value);
+                },
+                validate: (value, setting, context) => {
+                    const size = UserScriptConfig.getDataUrlSize(value);
+                    const maxFileSize = context.instance.getMaxFileSize(setting);
+                    if (size === null) {
+                        return context.instance.getMessage('usc.invalidFile');
+                    }
+                    if (size > maxFileSize) {
+                        return context.instance.getMessage('usc.fileTooLarge', { size: UserScriptConfig.formatFileSize(maxFileSize) });
+                    }
+                    return null;
+                }
+            },
+
+            textarea: textareaField(false),
+            json: textareaField(true)
+        }));
+    }
+
+    /**
+     * Creates the input element of a setting with the `create()` function of its field type
+     */
+    createInputElement(setting) {
+        const type = setting.type || 'textbox';
+        const fieldType = this.getFieldType(type);
+        if (!fieldType) {
+            console.warn('Unrecognized type: ' + setting.type + ', cannot create input element');
+            return null;
+        }
+
+        let element = null;
+        try {
+            element = fieldType.create(setting, this.getFieldContext(setting));
+        } catch (error) {
+            console.error(`Error creating the input of ${setting.id}:`, error);
+        }
+        if (element) {
+            // Marks the element getFieldElement() hands to the field type
+            element.setAttribute('data-field-type', type);
+        }
+        return element;
+    }
+
+    /**
+     * Creates the editor of a `list` setting: one text input per item with
+     * move up / move down / remove buttons, and an input to add new items
+     */
+    createListEditor(setting, inputClass) {
+        const listContainer = document.createElement('div');
+        listContainer.className = 'usc-list-editor';
+        listContainer.id = this.getDomId(setting.id);
+
+        const itemList = document.createElement('ul');
+        itemList.className = 'usc-list-items';
+        listContainer.appendChild(itemList);
+
+        const addRow = document.createElement('div');
+        addRow.className = 'usc-list-add';
+
+        const newItemInput = document.createElement('input');
+        newItemInput.type = 'text';
+        newItemInput.className = `${inputClass} usc-list-new-item`;
+        if (setting.placeholder) {
+            newItemInput.placeholder = this.translate(setting.placeholder);
+        }
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'usc-list-button usc-list-add-button';
+        addButton.textContent = this.getMessage('usc.add');
+
+        const addItem = () => {
+            const item = newItemInput.value.trim();
+            if (!item) return;
+
+            this.renderListItems(setting, this.getListItems(setting).concat(item));
+            newItemInput.value = '';
+            this.handleInputChange(setting);
+        };
+        addButton.addEventListener('click', addItem);
+        newItemInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addItem();
+            }
+        });
+
+        addRow.appendChild(newItemInput);
+        addRow.appendChild(addButton);
+        listContainer.appendChild(addRow);
+
+        return listContainer;
+    }
+
+    /**
+     * Replaces the items shown in a `list` editor
+     * @param {Object} setting - The list setting
+     * @param {Array<string>} items - The items to show
+     */
+    renderListItems(setting, items) {
+        const listContainer = this.getInputElementById(setting.id);
+        const itemList = listContainer && listContainer.querySelector('.usc-list-items');
+        if (!itemList) return;
+
+        const inputClass = setting.inputCSSClass || 'usc-setting-input';
+        const isDisabled = this.isInputDisabled(setting);
+        itemList.textContent = '';
+
+        items.forEach((item, index) => {
+            const listItem = document.createElement('li');
+            listItem.className = 'usc-list-item';
+
+            const itemInput = document.createElement('input');
+            itemInput.type = 'text';
+            itemInput.className = `${inputClass} usc-list-item-input`;
+            itemInput.value = item;
+            itemInput.disabled = isDisabled;
+            itemInput.addEventListener('input', () => {
+                this.updateListItemStates(setting);
+                this.handleInputChange(setting);
+            });
+            listItem.appendChild(itemInput);
+
+            const buttons = [
+                { label: '↑', title: this.getMessage('usc.moveUp'), isEnabled: index > 0, action: () => this.moveListItem(setting, index, index - 1) },
+                { label: '↓', title: this.getMessage('usc.moveDown'), isEnabled: index < items.length - 1, action: () => this.moveListItem(setting, index, index + 1) },
+                { label: '✕', title: this.getMessage('usc.remove'), isEnabled: true, action: () => this.removeListItem(setting, index) }
+            ];
+            buttons.forEach(({ label, title, isEnabled, action }) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'usc-list-button';
+                button.textContent = label;
+                button.title = title;
+                button.disabled = isDisabled || !isEnabled;
+                button.addEventListener('click', action);
+                listItem.appendChild(button);
+            });
+
+            itemList.appendChild(listItem);
+        });
+
+        this.updateListItemStates(setting);
+    }
+
+    /**
+     * Moves an item of a `list` editor to another position
+     */
+    moveListItem(setting, fromIndex, toIndex) {
+        const items = this.getListItems(setting);
+        if (toIndex < 0 || toIndex >= items.length) return;
+
+        const [item] = items.splice(fromIndex, 1);
+        items.splice(toIndex, 0, item);
+        this.renderListItems(setting, items);
+        this.handleInputChange(setting);
+    }
+
+    /**
+     * Removes an item from a `list` editor
+     */
+    removeListItem(setting, index) {
+        const items = this.getListItems(setting);
+        items.splice(index, 1);
+        this.renderListItems(setting, items);
+        this.handleInputChange(setting);
+    }
+
+    /**
+     * Reads the (non-empty) items currently shown in a `list` editor
+     */
+    getListItems(setting) {
+        const listContainer = this.getInputElementById(setting.id);
+        if (!listContainer) return [];
+
+        return Array.from(listContainer.querySelectorAll('.usc-list-item-input'))
+            .map(itemInput => itemInput.value.trim())
+            .filter(item => item !== '');
+    }
+
+    /**
+     * Marks the items of a `list` editor that don't match `itemValidationRegex`
+     */
+    updateListItemStates(setting) {
+        const listContainer = this.getInputElementById(setting.id);
+        if (!listContainer || !setting.itemValidationRegex) return;
+
+        const regex = new RegExp(setting.itemValidationRegex);
+        listContainer.querySelectorAll('.usc-list-item-input').forEach(itemInput => {
+            const item = itemInput.value.trim();
+            const isInvalid = item !== '' && !regex.test(item);
+            itemInput.classList.toggle('usc-invalid-input', isInvalid);
+            itemInput.setAttribute('aria-invalid', String(isInvalid));
+        });
+    }
+
+    /**
+     * Creates the editor of a `table` setting: a header with the column labels,
+     * one row of cell inputs per value row, and a button to add rows
+     */
+    createTableEditor(setting) {
+        const tableContainer = document.createElement('div');
+        tableContainer.className = 'usc-table-editor';
+        tableContainer.id = this.getDomId(setting.id);
+
+        const table = document.createElement('table');
+        table.className = 'usc-table-editor-table';
+
+        const headerRow = document.createElement('tr');
+        (setting.columns || []).forEach(column => {
+            const headerCell = document.createElement('th');
+            headerCell.textContent = this.translate(column.labelText) || column.id;
+            headerRow.appendChild(headerCell);
+        });
+        // Column of the move / remove buttons
+        headerRow.appendChild(document.createElement('th'));
+
+        const tableHead = document.createElement('thead');
+        tableHead.appendChild(headerRow);
+        table.appendChild(tableHead);
+        table.appendChild(document.createElement('tbody'));
+        tableContainer.appendChild(table);
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'usc-list-button usc-table-add-button';
+        addButton.textContent = this.translate(setting.addRowText) || this.getMessage('usc.addRow');
+        addButton.addEventListener('click', () => {
+            const newRow = this.coerceTableRows(setting, [{}])[0];
+            this.renderTableRows(setting, this.getTableRows(setting).concat(newRow));
+            this.handleInputChange(setting);
+        });
+        tableContainer.appendChild(addButton);
+
+        return tableContainer;
+    }
+
+    /**
+     * Creates the input of one cell of a `table` editor
+     */
+    createTableCellInput(setting, column, cellValue) {
+        const inputClass = `${setting.inputCSSClass || 'usc-setting-input'} usc-table-cell-input`;
+        const handleCellChange = () => {
+            this.updateTableCellStates(setting);
+            this.handleInputChange(setting);
+        };
+        let cellInput;
+
+        switch (column.type || 'text') {
+            case 'checkbox':
+                cellInput = document.createElement('input');
+                cellInput.type = 'checkbox';
+                cellInput.checked = cellValue === true;
+                cellInput.addEventListener('change', handleCellChange);
+                break;
+            case 'dropdown':
+                cellInput = document.createElement('select');
+                (column.options || []).forEach(option => {
+                    const optionElement = document.createElement('option');
+                    optionElement.value = option.value;
+                    optionElement.textContent = this.translate(option.text);
+                    cellInput.appendChild(optionElement);
+                });
+                cellInput.value = cellValue;
+                cellInput.addEventListener('change', handleCellChange);
+                break;
+            default:
+                cellInput = document.createElement('input');
+                cellInput.type = 'text';
+                cellInput.value = cellValue;
+                if (column.placeholder) {
+                    cellInput.placeholder = this.translate(column.placeholder);
+                }
+                cellInput.addEventListener('input', handleCellChange);
+                break;
+        }
+
+        cellInput.className = inputClass;
+        cellInput.setAttribute('data-column-id', column.id);
+        if (column.labelText) {
+            cellInput.title = this.translate(column.labelText);
+        }
+        return cellInput;
+    }
+
+    /**
+     * Replaces the rows shown in a `table` editor
+     * @param {Object} setting - The table setting
+     * @param {Array<Object>} rows - The rows to show
+     */
+    renderTableRows(setting, rows) {
+        const tableContainer = this.getInputElementById(setting.id);
+        const tableBody = tableContainer && tableContainer.querySelector('tbody');
+        if (!tableBody) return;
+
+        const isDisabled = this.isInputDisabled(setting);
+        tableBody.textContent = '';
+
+        rows.forEach((row, index) => {
+            const tableRow = document.createElement('tr');
+            tableRow.className = 'usc-table-row';
+
+            (setting.columns || []).forEach(column => {
+                const cell = document.createElement('td');
+                const cellInput = this.createTableCellInput(setting, column, row[column.id]);
+                cellInput.disabled = isDisabled;
+                cell.appendChild(cellInput);
+                tableRow.appendChild(cell);
+            });
+
+            const actionCell = document.createElement('td');
+            actionCell.className = 'usc-table-row-actions';
+            const buttons = [
+                { label: '↑', title: this.getMessage('usc.moveUp'), isEnabled: index > 0, action: () => this.moveTableRow(setting, index, index - 1) },
+                { label: '↓', title: this.getMessage('usc.moveDown'), isEnabled: index < rows.length - 1, action: () => this.moveTableRow(setting, index, index + 1) },
+                { label: '✕', title: this.getMessage('usc.remove'), isEnabled: true, action: () => this.removeTableRow(setting, index) }
+            ];
+            buttons.forEach(({ label, title, isEnabled, action }) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'usc-list-button';
+                button.textContent = label;
+                button.title = title;
+                button.disabled = isDisabled || !isEnabled;
+                button.addEventListener('click', action);
+                actionCell.appendChild(button);
+            });
+            tableRow.appendChild(actionCell);
+
+            tableBody.appendChild(tableRow);
+        });
+
+        this.updateTableCellStates(setting);
+    }
+
+    /**
+     * Moves a row of a `table` editor to another position
+     */
+    moveTableRow(setting, fromIndex, toIndex) {
+        const rows = this.getTableRows(setting);
+        if (toIndex < 0 || toIndex >= rows.length) return;
+
+        const [row] = rows.splice(fromIndex, 1);
+        rows.splice(toIndex, 0, row);
+        this.renderTableRows(setting, rows);
+        this.handleInputChange(setting);
+    }
+
+    /**
+     * Removes a row from a `table` editor
+     */
+    removeTableRow(setting, index) {
+        const rows = this.getTableRows(setting);
+        rows.splice(index, 1);
+        this.renderTableRows(setting, rows);
+        this.handleInputChange(setting);
+    }
+
+    /**
+     * Reads the rows currently shown in a `table` editor
+     */
+    getTableRows(setting) {
+        const tableContainer = this.getInputElementById(setting.id);
+        if (!tableContainer) return [];
+
+        const rows = Array.from(tableContainer.querySelectorAll('tr.usc-table-row')).map(tableRow => {
+            const row = {};
+            tableRow.querySelectorAll('[data-column-id]').forEach(cellInput => {
+                const columnId = cellInput.getAttribute('data-column-id');
+                row[columnId] = cellInput.type === 'checkbox' ? cellInput.checked : cellInput.value.trim();
+            });
+            return row;
+        });
+        return this.coerceTableRows(setting, rows);
+    }
+
+    /**
+     * Checks the cells of a `table` row against their column definitions:
+     * `required`, the dropdown `options` and `validationRegex`
+     * @param {Object} setting - The table setting
+     * @param {Object} row - The row
+     * @returns {Object} Error messages by column ID, for the invalid cells only
+     */
+    getTableRowErrors(setting, row) {
+        const errors = {};
+        (setting.columns || []).forEach(column => {
+            const cellValue = row[column.id];
+            const isEmpty = cellValue === '' || cellValue === false || cellValue === undefined;
+
+            if (column.required && isEmpty) {
+                errors[column.id] = this.getMessage('usc.required');
+            } else if (column.type === 'dropdown' && Array.isArray(column.options) && !isEmpty &&
+                !column.options.some(option => String(option.value) === String(cellValue))) {
+                errors[column.id] = this.getMessage('usc.notAnOption');
+            } else if (column.validationRegex && column.type !== 'checkbox' && !isEmpty &&
+                !new RegExp(column.validationRegex).test(cellValue)) {
+                errors[column.id] = this.translate(column.errorMessage) || this.getMessage('usc.invalidInput');
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Marks the cells of a `table` editor that fail their column's validation
+     */
+    updateTableCellStates(setting) {
+        const tableContainer = this.getInputElementById(setting.id);
+        if (!tableContainer) return;
+
+        const rows = this.getTableRows(setting);
+        tableContainer.querySelectorAll('tr.usc-table-row').forEach((tableRow, index) => {
+            const errors = rows[index] ? this.getTableRowErrors(setting, rows[index]) : {};
+            tableRow.querySelectorAll('[data-column-id]').forEach(cellInput => {
+                const error = errors[cellInput.getAttribute('data-column-id')];
+                cellInput.classList.toggle('usc-invalid-input', !!error);
+                cellInput.setAttribute('aria-invalid', String(!!error));
+            });
+        });
+    }
+
+    /**
+     * Creates the recorder of a `hotkey` setting: a read-only input that captures
+     * the next key combination while it has the focus. Backspace or Delete clear
+     * the shortcut, Escape stops recording.
+     */
+    createHotkeyRecorder(setting, inputClass) {
+        const hotkeyWrapper = document.createElement('span');
+        hotkeyWrapper.className = 'usc-hotkey';
+
+        const hotkeyInput = document.createElement('input');
+        hotkeyInput.type = 'text';
+        hotkeyInput.id = this.getDomId(setting.id);
+        hotkeyInput.className = `${inputClass} usc-hotkey-recorder`;
+        hotkeyInput.readOnly = true;
+        hotkeyInput.placeholder = this.translate(setting.placeholder) || this.getMessage('usc.hotkeyPlaceholder');
+
+        const startRecording = () => {
+            this.recordingHotkeyId = setting.id;
+            hotkeyInput.classList.add('usc-hotkey-recording');
+        };
+        const stopRecording = () => {
+            if (this.recordingHotkeyId === setting.id) {
+                this.recordingHotkeyId = null;
+            }
+            hotkeyInput.classList.remove('usc-hotkey-recording');
+        };
+        hotkeyInput.addEventListener('focus', startRecording);
+        hotkeyInput.addEventListener('click', startRecording);
+        hotkeyInput.addEventListener('blur', stopRecording);
+        hotkeyInput.addEventListener('keydown', (e) => {
+            // After Escape, keys behave as usual until the recorder is clicked again
+            if (this.recordingHotkeyId !== setting.id) return;
+
+            const hasModifier = e.ctrlKey || e.altKey || e.shiftKey || e.metaKey;
+            if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) {
+                // Keep Tab usable for moving the focus (and for the dialog's focus trap)
+                stopRecording();
+                return;
+            }
+
+            // The key belongs to the recorder, not to the page or the dialog's Escape handling
+            e.preventDefault();
+            e.stopPropagation();
+
+            if (e.key === 'Escape' && !hasModifier) {
+                stopRecording();
+                return;
+            }
+
+            let hotkey;
+            if ((e.key === 'Backspace' || e.key === 'Delete') && !hasModifier) {
+                hotkey = '';
+            } else {
+                hotkey = UserScriptConfig.hotkeyFromEvent(e);
+                if (hotkey === null) return; // Only a modifier so far
+            }
+
+            if (hotkey !== hotkeyInput.value) {
+                hotkeyInput.value = hotkey;
+                this.updateHotkeyWarnings();
+                this.handleInputChange(setting);
+            }
+        });
+        hotkeyWrapper.appendChild(hotkeyInput);
+
+        const warning = document.createElement('div');
+        warning.className = 'usc-hotkey-warning';
+        warning.id = this.getDomId(setting.id, 'warning');
+        warning.style.display = 'none';
+        hotkeyWrapper.appendChild(warning);
+
+        return hotkeyWrapper;
+    }
+
+    /**
+     * Shows a warning below every `hotkey` setting of the dialog whose shortcut
+     * is also used by another `hotkey` setting of this config
+     */
+    updateHotkeyWarnings() {
+        if (!this.currentDialog || !this.config.settings) return;
+
+        const hotkeySettings = this.config.settings.filter(s => s.type === 'hotkey');
+        const hotkeys = new Map(hotkeySettings.map(s => [s.id, this.getInputValue(s).toLowerCase()]));
+
+        hotkeySettings.forEach(setting => {
+            const warning = this.getDialogElement(this.getDomId(setting.id, 'warning'));
+            if (!warning) return;
+
+            const hotkey = hotkeys.get(setting.id);
+            const conflicts = hotkey ? hotkeySettings.filter(other => other.id !== setting.id && hotkeys.get(other.id) === hotkey) : [];
+            warning.textContent = conflicts.length > 0
+                ? this.getMessage('usc.hotkeyConflict', { names: conflicts.map(other => this.translate(other.labelText) || other.id).join(', ') })
+                : '';
+            warning.style.display = conflicts.length > 0 ? 'block' : 'none';
+        });
+    }
+
+    /**
+     * Creates the input of a `color` setting: a color picker, a slider for the
+     * alpha channel (with `alpha: true`) and the resulting value as text
+     */
+    createColorInput(setting, inputClass) {
+        const colorWrapper = document.createElement('span');
+        colorWrapper.className = 'usc-color-input';
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.id = this.getDomId(setting.id);
+        colorInput.className = inputClass;
+        colorInput.addEventListener('input', () => {
+            this.updateColorValueLabel(setting);
+            this.handleInputChange(setting);
+        });
+        colorWrapper.appendChild(colorInput);
+
+        if (setting.alpha) {
+            const alphaInput = document.createElement('input');
+            alphaInput.type = 'range';
+            alphaInput.id = this.getDomId(setting.id, 'alpha');
+            alphaInput.className = `${inputClass} usc-color-alpha`;
+            alphaInput.min = '0';
+            alphaInput.max = '100';
+            alphaInput.title = this.getMessage('usc.opacity');
+            alphaInput.addEventListener('input', () => {
+                this.updateColorValueLabel(setting);
+                this.handleInputChange(setting);
+            });
+            colorWrapper.appendChild(alphaInput);
+        }
+
+        const colorValue = document.createElement('span');
+        colorValue.className = 'usc-color-value';
+        colorValue.id = this.getDomId(setting.id, 'value');
+        colorWrapper.appendChild(colorValue);
+
+        return colorWrapper;
+    }
+
+    /**
+     * Updates the value display shown next to a color picker
+     */
+    updateColorValueLabel(setting) {
+        const valueLabel = this.getDialogElement(this.getDomId(setting.id, 'value'));
+        if (valueLabel) {
+            valueLabel.textContent = this.getInputValue(setting);
+        }
+    }
+
+    /**
+     * Creates the input of a `file` setting. The chosen file is kept as a data URL,
+     * so only small files (up to `maxFileSize` bytes) are accepted.
+     */
+    createFileInput(setting, inputClass) {
+        const fileWrapper = document.createElement('span');
+        fileWrapper.className = 'usc-file-input';
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.id = this.getDomId(setting.id);
+        fileInput.className = inputClass;
+        if (setting.accept) {
+            fileInput.accept = setting.accept;
+        }
+        fileWrapper.appendChild(fileInput);
+
+        const fileInfo = document.createElement('span');
+        fileInfo.className = 'usc-file-info';
+        fileInfo.id = this.getDomId(setting.id, 'info');
+        fileWrapper.appendChild(fileInfo);
+
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'usc-list-button usc-file-clear-button';
+        clearButton.textContent = '✕';
+        clearButton.title = this.getMessage('usc.removeFile');
+        clearButton.addEventListener('click', () => {
+            this.setFileInputValue(setting, '');
+            this.handleInputChange(setting);
+        });
+        fileWrapper.appendChild(clearButton);
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file) return;
+
+            const maxFileSize = this.getMaxFileSize(setting);
+            if (file.size > maxFileSize) {
+                // Keep the previous file, the new one would not fit into storage
+                fileInput.value = '';
+                this.updateFileInfo(setting, this.getMessage('usc.fileTooLargeToLoad', { name: file.name, size: UserScriptConfig.formatFileSize(maxFileSize) }), true);
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                this.setFileInputValue(setting, reader.result, file.name);
+                this.handleInputChange(setting);
+            };
+            reader.onerror = () => {
+                console.error(`Error reading file for ${setting.id}:`, reader.error);
+                this.updateFileInfo(setting, this.getMessage('usc.fileReadError', { name: file.name }), true);
+            };
+            reader.readAsDataURL(file);
+        });
+
+        return fileWrapper;
+    }
+
+    /**
+     * Returns the largest file (in bytes) a `file` setting accepts
+     */
+    getMaxFileSize(setting) {
+        return typeof setting.maxFileSize === 'number' ? setting.maxFileSize : 100 * 1024;
+    }
+
+    /**
+     * Keeps a data URL as the current value of a `file` input and describes it
+     * @param {Object} setting - The file setting
+     * @param {string} dataUrl - The file content, or an empty string for no file
+     * @param {string} [fileName] - The name of the file, if known
+     */
+    setFileInputValue(setting, dataUrl, fileName) {
+        const fileInput = this.getDialogElement(this.getDomId(setting.id));
+        if (!fileInput) return;
+
+        fileInput.value = '';
+        fileInput.setAttribute('data-value', dataUrl || '');
+
+        const size = UserScriptConfig.getDataUrlSize(dataUrl);
+        if (size === null) {
+            this.updateFileInfo(setting, this.getMessage('usc.noFile'), false);
+        } else {
+            const mimeType = dataUrl.slice(5, dataUrl.indexOf(',')).split(';')[0];
+            const description = [fileName, mimeType, UserScriptConfig.formatFileSize(size)].filter(Boolean).join(', ');
+            this.updateFileInfo(setting, description, false);
+        }
+    }
+
+    /**
+     * Shows a description of the current file (or a problem with the chosen one)
+     */
+    updateFileInfo(setting, text, isError) {
+        const fileInfo = this.getDialogElement(this.getDomId(setting.id, 'info'));
+        if (fileInfo) {
+            fileInfo.textContent = text;
+            fileInfo.classList.toggle('usc-file-error', isError);
+        }
+    }
+
+    /**
+     * Copies the `min`, `max` and `step` properties of a setting onto a numeric input
+     */
+    applyNumericAttributes(inputElement, setting) {
+        ['min', 'max', 'step'].forEach(attribute => {
+            if (setting[attribute] !== undefined && setting[attribute] !== null) {
+                inputElement[attribute] = String(setting[attribute]);
+            }
+        });
+    }
+
+    /**
+     * Updates the value display shown next to a slider
+     */
+    updateSliderValueLabel(setting, value) {
+        const valueLabel = this.getDialogElement(this.getDomId(setting.id, 'value'));
+        if (valueLabel) {
+            valueLabel.textContent = setting.unit ? `${value} ${this.translate(setting.unit)}` : String(value);
+        }
+    }
+
+    /**
+     * Returns the element created for a setting by its field type's `create()`
+     */
+    getFieldElement(setting) {
+        const row = this.getSettingRow(setting.id);
+        return row ? row.querySelector('.usc-setting-input-cell > [data-field-type]') : null;
+    }
+
+    /**
+     * Sets the value of an input element
+     */
+    setInputValue(setting, value) {
+        const fieldType = this.getFieldType(setting.type);
+        const element = this.getFieldElement(setting);
+        if (!fieldType || !element) return;
+
+        try {
+            fieldType.setValue(element, value, setting, this.getFieldContext(setting));
+        } catch (error) {
+            console.error(`Error setting the value of ${setting.id}:`, error);
+        }
+    }
+
+    /**
+     * Gets the current value of an input element
+     */
+    getInputValue(setting) {
+        const fieldType = this.getFieldType(setting.type);
+        const element = this.getFieldElement(setting);
+        if (!fieldType || !element) {
+            return this.values.get(setting.id);
+        }
+
+        try {
+            return fieldType.getValue(element, setting, this.getFieldContext(setting));
+        } catch (error) {
+            console.error(`Error reading the value of ${setting.id}:`, error);
+            return this.values.get(setting.id);
+        }
+    }
+
+    /**
+     * Sets up keyboard event handlers
+     */
+    setupKeyboardHandlers() {
+        this.removeKeyboardHandlers();
+
+        this.keyboardHandler = (e) => {
+            // With several dialogs open, only the most recently opened one reacts
+            if (!this.isTopmostDialog()) return;
+
+            // A hotkey recorder is capturing this key
+            if (this.recordingHotkeyId) return;
+
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.handleCancel();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
             }
-        });
+        };
 
-        // Update group collapse/expand state in dialog
-        this.setDialogGroupStatesFromValues();
+        document.addEventListener('keydown', this.keyboardHandler);
+    }
 
-        return this;
+    /**
+     * Keeps the focus inside the dialog: Tab on the last focusable element
+     * moves to the first one, Shift+Tab on the first one to the last
+     * @param {KeyboardEvent} e - The keydown event of the Tab key
+     */
+    trapFocus(e) {
+        const dialog = this.getDialogContainer();
+        if (!dialog) return;
+
+        const focusableElements = this.getFocusableElements();
+        if (focusableElements.length === 0) {
+            e.preventDefault();
+            dialog.focus();
+            return;
+        }
+
+        const first = focusableElements[0];
+        const last = focusableElements[focusableElements.length - 1];
+        const activeElement = this.getDialogRoot().activeElement;
+        if (!activeElement || !dialog.contains(activeElement)) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        } else if (e.shiftKey && (activeElement === first || activeElement === dialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
     }
 
-    setDialogGroupStatesFromValues() {
-        this.groupStates.forEach((isExpanded, groupId) => {
-            this.setDialogGroupState(groupId, isExpanded);
+    /**
+     * Returns the element with `role="dialog"` inside the overlay
+     */
+    getDialogContainer() {
+        return this.currentDialog ? this.currentDialog.querySelector('[role="dialog"]') : null;
+    }
+
+    /**
+     * Returns the elements of the dialog that Tab can reach, in document order.
+     * Disabled and hidden elements are skipped, and of a group of radio buttons
+     * only the checked one (or the first one) counts, as browsers do.
+     * @returns {Array<HTMLElement>}
+     */
+    getFocusableElements() {
+        const dialog = this.getDialogContainer();
+        if (!dialog) return [];
+
+        const selector = 'a[href], button, input, select, textarea, [tabindex]';
+        const seenRadioGroups = new Set();
+        return Array.from(dialog.querySelectorAll(selector)).filter(element => {
+            if (element.disabled || element.tabIndex < 0 || element.getClientRects().length === 0) return false;
+            if (element.type === 'radio' && element.name) {
+                const checkedRadio = Array.from(dialog.querySelectorAll('input[type="radio"]'))
+                    .find(radio => radio.name === element.name && radio.checked);
+                if (checkedRadio ? checkedRadio !== element : seenRadioGroups.has(element.name)) return false;
+                seenRadioGroups.add(element.name);
+            }
+            return true;
         });
     }
 
-    setDialogGroupState(groupId, isExpanded) {
-        const groupContent = this.currentDialog.querySelector(`.usc-settings-group[data-group-id="${groupId}"] .usc-settings-group-content`);
-        const iconDownward = this.currentDialog.querySelector(`.usc-settings-group[data-group-id="${groupId}"] .usc-settings-group-header .usc-settings-group-toggle .icon-downward`);
-        const iconUpward = this.currentDialog.querySelector(`.usc-settings-group[data-group-id="${groupId}"] .usc-settings-group-header .usc-settings-group-toggle .icon-upward`);
-        if (groupContent && iconDownward && iconUpward) {
-            if (isExpanded) {
-                groupContent.classList.add('expanded');
-                iconUpward.style.display = 'block';
-                iconDownward.style.display = 'none';
-            } else {
-                groupContent.classList.remove('expanded');
-                iconUpward.style.display = 'none';
-                iconDownward.style.display = 'block';
+    /**
+     * Focuses the first element of the dialog that Tab can reach, or the dialog itself
+     */
+    focusFirstElement() {
+        const dialog = this.getDialogContainer();
+        if (!dialog) return;
+        const firstElement = this.getFocusableElements()[0];
+        (firstElement || dialog).focus();
+    }
+
+    /**
+     * Removes the keyboard event handlers added by setupKeyboardHandlers()
+     */
+    removeKeyboardHandlers() {
+        if (this.keyboardHandler) {
+            document.removeEventListener('keydown', this.keyboardHandler);
+            this.keyboardHandler = null;
+        }
+    }
+
+    /**
+     * Checks whether this instance's dialog is the most recently opened one
+     */
+    isTopmostDialog() {
+        const openDialogs = UserScriptConfig.openDialogInstances || [];
+        return openDialogs[openDialogs.length - 1] === this;
+    }
+
+    /**
+     * Sets up conditional logic for enabledIf, visibleIf and collapsedIf
+     */
+    setupConditionalLogic() {
+        if (!this.config.settings) return;
+
+        this.disabledFields.clear();
+        this.hiddenFields.clear();
+        this.hiddenGroups.clear();
+
+        const conditionalSettings = this.config.settings.filter(setting => setting.enabledIf);
+        this.updateConditionalStates(conditionalSettings);
+
+        // Show or hide settings and groups
+        this.updateVisibilityStates();
+
+        // See if a group needs to expand or collapse
+        if (!this.hasValidGroups()) return;
+        this.config.groups.forEach(group => {
+            if (group.collapsedIf) {
+                this.setDialogGroupState(group.id, !this.evaluateCondition(group.collapsedIf, this.getDialogValueGetter()));
             }
+        });
+    }
+
+    /**
+     * Re-evaluates the enabledIf state of the given settings until nothing changes
+     * anymore, so that chains (C depends on B, which depends on A) settle no
+     * matter in which order the settings are defined.
+     * @param {Array} settings - The settings to re-evaluate
+     */
+    updateConditionalStates(settings) {
+        // Each pass settles at least one more link of a chain, so this bounds cyclic conditions
+        for (let pass = 0; pass <= settings.length; pass++) {
+            let hasChanged = false;
+            settings.forEach(setting => {
+                if (this.updateConditionalStateForSetting(setting)) {
+                    hasChanged = true;
+                }
+            });
+            if (!hasChanged) break;
         }
     }
 
     /**
-     * Creates the main dialog structure
+     * Updates the enabled/disabled state based on conditional logic
+     * @returns {boolean} Whether the enabled state or the value of the setting changed
      */
-    createDialogStructure(config) {
-        // Create overlay
-        const overlay = document.createElement('div');
-        overlay.className = 'usc-settings-dialog-overlay';
+    updateConditionalStateForSetting(setting) {
+        if (!setting.enabledIf) return false;
 
-        // Create main dialog container
-        const dialog = document.createElement('div');
-        dialog.className = config.dialogCSSClass || 'usc-settings-dialog';
+        // Ignore conditions that refer to settings which don't exist
+        const dependencies = this.getConditionDependencies(setting.enabledIf);
+        if (dependencies.some(id => !this.getSettingById(id))) return false;
 
-        // Create header if specified
-        if (config.headerText) {
-            const header = document.createElement('h2');
-            header.className = config.headerCSSClass || 'usc-dialog-header';
-            header.textContent = config.headerText;
-            dialog.appendChild(header);
+        const shouldEnable = this.evaluateCondition(setting.enabledIf, this.getDialogValueGetter());
+
+        const inputElement = this.getInputElementById(setting.id);
+        if (!inputElement) return false;
+
+        const wasEnabled = !this.disabledFields.has(setting.id);
+        const previousValue = this.getInputValue(setting);
+
+        this.setInputEnabled(setting, shouldEnable);
+        if (!shouldEnable) {
+            // If disabling, reset to default value
+            this.setInputValue(setting, setting.defaultValue);
         }
+        this.validateInput(setting);
 
-        // --- Grouping Logic ---
-        const groupedSettings = new Map(); // Map groupId to an array of settings
-        const groupOrder = []; // Stores the order of groups and ungrouped settings
+        return wasEnabled !== shouldEnable || !this.valuesEqual(previousValue, this.getInputValue(setting));
+    }
 
-        // Initialize groupOrder and groupedSettings
-        if (config.settings && Array.isArray(config.settings)) {
-            const processedGroupIds = new Set();
-            config.settings.forEach(setting => {
-                if (setting.groupId) {
-                    if (!groupedSettings.has(setting.groupId)) {
-                        groupedSettings.set(setting.groupId, []);
-                        // Add group to order only on its first appearance
-                        if (!processedGroupIds.has(setting.groupId)) {
-                            groupOrder.push({ type: 'group', id: setting.groupId });
-                            processedGroupIds.add(setting.groupId);
-                        }
-                    }
-                    groupedSettings.get(setting.groupId).push(setting);
+    /**
+     * Evaluates the `visibleIf` conditions of all settings and groups, and
+     * shows or hides their rows and sections in the dialog. Settings that
+     * become hidden or visible are re-validated, since hidden settings are
+     * never validated.
+     */
+    updateVisibilityStates() {
+        if (!this.currentDialog || !this.config.settings) return;
+
+        const getValue = this.getDialogValueGetter();
+
+        if (this.hasValidGroups()) {
+            this.config.groups.forEach(group => {
+                if (!group.visibleIf) return;
+
+                const isVisible = this.evaluateCondition(group.visibleIf, getValue);
+                if (isVisible) {
+                    this.hiddenGroups.delete(group.id);
                 } else {
-                    groupOrder.push({ type: 'setting', setting: setting });
+                    this.hiddenGroups.add(group.id);
+                }
+
+                const groupSection = this.getGroupSection(group.id);
+                if (groupSection) {
+                    groupSection.style.display = isVisible ? '' : 'none';
+                }
+                const tabButton = this.getTabButton(group.id);
+                if (tabButton) {
+                    tabButton.style.display = isVisible ? '' : 'none';
                 }
             });
+
+            // The selected tab may just have been hidden
+            this.updateSelectedTab();
         }
 
-        // Render settings based on groupOrder
-        groupOrder.forEach(item => {
-            if (item.type === 'setting') {
-                // Render ungrouped setting directly
-                const table = document.createElement('table');
-                table.className = 'usc-settings-table';
-                const row = this.createSettingRow(item.setting);
-                table.appendChild(row);
-                dialog.appendChild(table);
-            } else if (item.type === 'group') {
-                // Render group section
-                const groupId = item.id;
-                const groupConfig = config.groups ? config.groups.find(g => g.id === groupId) : null;
-                if (groupConfig) {
-                    const groupSection = this.createGroupSection(groupConfig, groupedSettings.get(groupId));
-                    dialog.appendChild(groupSection);
+        this.config.settings.forEach(setting => {
+            const wasHidden = this.isSettingHidden(setting);
+
+            if (setting.visibleIf) {
+                const isVisible = this.evaluateCondition(setting.visibleIf, getValue);
+                if (isVisible) {
+                    this.hiddenFields.delete(setting.id);
                 } else {
-                    // If group config is missing, just render settings without a group header
-                    const table = document.createElement('table');
-                    table.className = 'usc-settings-table';
-                    groupedSettings.get(groupId).forEach(setting => {
-                        const row = this.createSettingRow(setting);
-                        table.appendChild(row);
-                    });
-                    dialog.appendChild(table);
+                    this.hiddenFields.add(setting.id);
+                }
+
+                const row = this.getSettingRow(setting.id);
+                if (row) {
+                    row.style.display = isVisible ? '' : 'none';
                 }
             }
-        });
-        // --- End Grouping Logic ---
 
-        // Create footer
-        const footer = document.createElement('div');
-        footer.className = config.footerCSSClass || 'usc-dialog-footer';
+            if (wasHidden !== this.isSettingHidden(setting)) {
+                this.validateInput(setting);
+            }
+        });
 
-        // Add footer text if specified
-        if (config.footerText) {
-            const footerText = document.createElement('span');
-            footerText.textContent = config.footerText;
-            footer.appendChild(footerText);
+        // Settings that were just shown or hidden may change the search results
+        if (this.searchQuery) {
+            this.applySearchFilter(this.searchQuery);
         }
+    }
 
-        // Create buttons
-        const saveButton = document.createElement('button');
-        saveButton.className = config.saveButtonCSSClass || 'usc-save-button';
-        saveButton.textContent = config.saveButtonText || 'Save';
-        saveButton.addEventListener('click', () => this.handleSave());
+    /**
+     * Checks whether a setting is hidden in the dialog, either by its own
+     * `visibleIf` or because its group (or a group that one is nested in) is hidden.
+     * Settings in a tab other than the selected one don't count as hidden.
+     */
+    isSettingHidden(setting) {
+        if (this.hiddenFields.has(setting.id)) return true;
+        return !!setting.groupId && this.getGroupPath(setting.groupId).some(groupId => this.hiddenGroups.has(groupId));
+    }
 
-        const cancelButton = document.createElement('button');
-        cancelButton.className = config.cancelButtonCSSClass || 'usc-cancel-button';
-        cancelButton.textContent = config.cancelButtonText || 'Cancel';
-        cancelButton.addEventListener('click', () => this.handleCancel());
+    /**
+     * Enables or disables the input(s) of a setting in the dialog
+     */
+    setInputEnabled(setting, isEnabled) {
+        if (isEnabled) {
+            this.disabledFields.delete(setting.id);
+        } else {
+            this.disabledFields.add(setting.id);
+        }
 
-        footer.appendChild(saveButton);
-        footer.appendChild(cancelButton);
-        dialog.appendChild(footer);
+        const element = this.getFieldElement(setting);
+        if (!element) return;
 
-        overlay.appendChild(dialog);
+        const isDisabled = this.isInputDisabled(setting);
+        if ('disabled' in element) {
+            element.disabled = isDisabled;
+        }
+        // Containers such as radio groups or a color picker with its alpha slider: disable every control inside
+        element.querySelectorAll('input, select, textarea, button').forEach(control => {
+            control.disabled = isDisabled;
+        });
+    }
 
-        return overlay;
+    /**
+     * Checks whether the input(s) of a setting can't be edited in the dialog, either
+     * because of `enabledIf` or because the setting can't be overridden per site
+     * and the site scope is shown
+     */
+    isInputDisabled(setting) {
+        return this.disabledFields.has(setting.id) || (this.dialogScope !== null && !setting.scopable);
     }
 
     /**
-     * Creates a group section with a header and collapsible content.
-     * @param {Object} groupConfig - The configuration for the group (id, name, expanded).
-     * @param {Array} settingsInGroup - An array of setting objects belonging to this group.
-     * @returns {HTMLElement} The group section element.
+     * Returns a function that reads setting values from the open dialog's inputs
      */
-    createGroupSection(groupConfig, settingsInGroup) {
-        const groupDiv = document.createElement('div');
-        groupDiv.className = 'usc-settings-group';
-        groupDiv.setAttribute('data-group-id', groupConfig.id);
+    getDialogValueGetter() {
+        return (id) => {
+            const setting = this.getSettingById(id);
+            return setting ? this.getInputValue(setting) : undefined;
+        };
+    }
 
-        const headerDiv = document.createElement('div');
-        headerDiv.className = 'usc-settings-group-header';
-        headerDiv.addEventListener('click', () => this.toggleGroup(groupConfig.id));
+    /**
+     * Evaluates a condition, as used by `enabledIf` and `collapsedIf`.
+     * Formats-
+     *  - `{ otherElementId: '<id>', value: <value> }` (same as `{ field: '<id>', op: '==', value: <value> }`)
+     *  - `{ field: '<id>', op: '==' | '!=' | '>' | '>=' | '<' | '<=' | 'in' | 'notIn' | 'matches', value: <value> }`
+     *  - `{ all: [<condition>, ...] }`, `{ any: [<condition>, ...] }`, `{ not: <condition> }`
+     * @param {Object} condition - The condition
+     * @param {Function} getValue - Returns the current value of a setting by its ID
+     * @returns {boolean} Whether the condition holds
+     */
+    evaluateCondition(condition, getValue) {
+        if (!condition || typeof condition !== 'object') return true;
 
-        const title = document.createElement('h3');
-        title.textContent = groupConfig.name;
-        headerDiv.appendChild(title);
+        if (Array.isArray(condition.all)) {
+            return condition.all.every(subCondition => this.evaluateCondition(subCondition, getValue));
+        }
+        if (Array.isArray(condition.any)) {
+            return condition.any.some(subCondition => this.evaluateCondition(subCondition, getValue));
+        }
+        if (condition.not) {
+            return !this.evaluateCondition(condition.not, getValue);
+        }
 
-        const toggleIconSpan = document.createElement('span');
-        toggleIconSpan.className = 'usc-settings-group-toggle';
+        const fieldId = condition.field !== undefined ? condition.field : condition.otherElementId;
+        const fieldValue = getValue(fieldId);
+        const expected = condition.value;
+
+        switch (condition.op || '==') {
+            case '==':
+                return this.valuesEqual(fieldValue, expected);
+            case '!=':
+                return !this.valuesEqual(fieldValue, expected);
+            case '>':
+                return fieldValue > expected;
+            case '>=':
+                return fieldValue >= expected;
+            case '<':
+                return fieldValue < expected;
+            case '<=':
+                return fieldValue <= expected;
+            case 'in':
+                return Array.isArray(expected) && expected.some(item => this.valuesEqual(fieldValue, item));
+            case 'notIn':
+                return Array.isArray(expected) && !expected.some(item => this.valuesEqual(fieldValue, item));
+            case 'matches':
+                let regex;
+                try {
+                    regex = new RegExp(expected);
+                } catch (error) {
+                    // Conditions are evaluated on every input, so only report a pattern once
+                    if (!this.invalidConditionPatterns.has(String(expected))) {
+                        this.invalidConditionPatterns.add(String(expected));
+                        console.warn('Invalid condition pattern: ' + error.message);
+                    }
+                    return false;
+                }
+                return regex.test(fieldValue === undefined || fieldValue === null ? '' : String(fieldValue));
+            default:
+                console.warn('Unrecognized condition operator: ' + condition.op);
+                return false;
+        }
+    }
 
-        // Create a div just to fetch a rendered SVG
-        const collapsedIconDiv = document.createElement('div');
-        collapsedIconDiv.className = 'icon-downward';
-        collapsedIconDiv.innerHTML = this.collapsedIconSVG;
-        collapsedIconDiv.style.display = 'block'; // Initially show the collapsed icon
-        toggleIconSpan.appendChild(collapsedIconDiv);
+    /**
+     * Lists the IDs of all settings a condition refers to
+     * @param {Object} condition - The condition
+     * @returns {Array<string>} The setting IDs
+     */
+    getConditionDependencies(condition) {
+        if (!condition || typeof condition !== 'object') return [];
 
-        const expandedIconDiv = document.createElement('div');
-        expandedIconDiv.className = 'icon-upward';
-        expandedIconDiv.innerHTML = this.expandedIconSVG;
-        expandedIconDiv.style.display = 'none'; // Initially hide the expanded icon
-        toggleIconSpan.appendChild(expandedIconDiv);
+        if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+            const subConditions = condition.all || condition.any;
+            return [].concat(...subConditions.map(subCondition => this.getConditionDependencies(subCondition)));
+        }
+        if (condition.not) {
+            return this.getConditionDependencies(condition.not);
+        }
 
-        headerDiv.appendChild(toggleIconSpan);
+        const fieldId = condition.field !== undefined ? condition.field : condition.otherElementId;
+        return fieldId === undefined ? [] : [fieldId];
+    }
+
+    /**
+     * Gets the input element by setting ID (for radio groups, the usc-radio-group container)
+     */
+    getInputElementById(id) {
+        return this.getDialogElement(this.getDomId(id));
+    }
+
+    /**
+     * Sets up validation state for all settings
+     */
+    setupValidationState() {
+        if (!this.config.settings) return;
 
-        groupDiv.appendChild(headerDiv);
+        this.config.settings.forEach(setting => {
+            this.validationState.set(setting.id, true); // Start as valid
+        });
+    }
 
-        const contentDiv = document.createElement('div');
-        contentDiv.className = 'usc-settings-group-content';
+    /**
+     * Sets up validation for input elements
+     */
+    setupValidation() {
+        if (!this.config.settings) return;
 
-        const table = document.createElement('table');
-        table.className = 'usc-settings-table';
+        this.fieldErrors.clear();
+        this.crossFieldErrors.clear();
 
-        settingsInGroup.forEach(setting => {
-            const row = this.createSettingRow(setting);
-            table.appendChild(row);
+        this.config.settings.forEach(setting => {
+            this.validateInput(setting);
         });
 
-        contentDiv.appendChild(table);
-        groupDiv.appendChild(contentDiv);
-
-        return groupDiv;
+        this.updateSaveButtonState();
     }
 
     /**
-     * Toggles the expanded/collapsed state of a group.
-     * @param {string} groupId - The ID of the group to toggle.
+     * Checks a value against its setting definition, independent of the dialog.
+     * Runs the declarative rules first (see getRuleError()), then the setting's
+     * own `validate(value, allValues)` function, which may return a Promise.
+     * @param {Object} setting - The setting definition
+     * @param {any} value - The (already coerced) value
+     * @param {Object} [allValues] - All values, passed on to `validate()`. Defaults to the current values.
+     * @returns {Promise<string|null>} An error message, or null if the value is valid
      */
-    toggleGroup(groupId) {
-        const groupContent = this.currentDialog.querySelector(`.usc-settings-group[data-group-id="${groupId}"] .usc-settings-group-content`);
-        const isExpanded = groupContent.classList.contains('expanded');
-        const newExpandedState = !isExpanded;
-        this.groupStates.set(groupId, newExpandedState);
+    async validateValue(setting, value, allValues) {
+        const ruleError = this.getRuleError(setting, value);
+        if (ruleError || typeof setting.validate !== 'function') {
+            return ruleError;
+        }
 
-        // Update storage immediately for group states
         try {
-            const storageKey = this.getStorageKey(`groupState.${groupId}`);
-            this.setValueIntoStorage(storageKey, newExpandedState);
+            const result = await setting.validate(value, allValues || this.getAllFieldValues());
+            return this.toValidationError(result, setting.errorMessage);
         } catch (error) {
-            console.error(`Error writing group state to storage for ${groupId}:`, error);
+            console.error(`Error in custom validator for ${setting.id}:`, error);
+            return error.message || this.translate(setting.errorMessage) || this.getMessage('usc.invalidInput');
         }
-
-        // Update the UI
-        this.setDialogGroupStatesFromValues();
     }
 
     /**
-     * Creates a single setting row
+     * Checks a value against the declarative rules of its setting, in this order:
+     * `required`, the value type, `options`, the `validate` function of the field
+     * type, `oneOf`, `minLength` / `maxLength`, `itemValidationRegex`, `min` / `max`
+     * and `validationRegex`.
+     * @param {Object} setting - The setting definition
+     * @param {any} value - The (already coerced) value
+     * @param {boolean} [isDialogValue=false] - Whether the value is read from the dialog, where an
+     *     optional radio or dropdown may have nothing selected. Elsewhere (`set()`, `setMany()`,
+     *     `importSettings()`) an empty value has to be one of the options too.
+     * @returns {string|null} An error message, or null if the value is valid
      */
-    createSettingRow(setting) {
-        const row = document.createElement('tr');
-        row.className = 'usc-setting-row';
-        if (setting.tooltip) {
-            row.title = setting.tooltip;
+    getRuleError(setting, value, isDialogValue = false) {
+        const isEmpty = this.isEmptyValue(setting, value);
+        if (setting.required && isEmpty) {
+            return this.getMessage('usc.required');
         }
 
-        // Create label cell
-        const labelCell = document.createElement('td');
-        labelCell.className = setting.labelCSSClass || 'usc-setting-label';
-        const label = document.createElement('label');
-        label.textContent = setting.labelText;
-        label.setAttribute('for', setting.id);
-        labelCell.appendChild(label);
-
-        // Create input cell
-        const inputCell = document.createElement('td');
-        inputCell.className = 'usc-setting-input-cell';
-
-        // Create input element based on type
-        const inputElement = this.createInputElement(setting);
-        if (inputElement) { // Ensure inputElement is not null
-            inputCell.appendChild(inputElement);
+        if (this.isMissingNumber(setting, value)) {
+            return this.getMessage('usc.invalidNumber');
         }
 
-        // Add error message container for validation
-        if (setting.validationRegex) {
-            const errorDiv = document.createElement('div');
-            errorDiv.className = 'usc-validation-error';
-            errorDiv.id = `${setting.id}-error`;
-            errorDiv.style.display = 'none';
-            errorDiv.textContent = setting.errorMessage || 'Invalid input';
-            inputCell.appendChild(errorDiv);
+        // In the dialog, an optional radio or dropdown may be left empty (e.g. nothing checked yet)
+        if (!(isEmpty && isDialogValue) && (setting.type === 'radio' || setting.type === 'dropdown') && Array.isArray(setting.options)) {
+            const isOption = setting.options.some(option => String(option.value) === String(value));
+            if (!isOption) {
+                return this.getMessage('usc.notAnOption');
+            }
         }
 
-        row.appendChild(labelCell);
-        row.appendChild(inputCell);
-
-        return row;
-    }
-
-    /**
-     * Creates the appropriate input element based on setting type
-     */
-    createInputElement(setting) {
-        const type = setting.type || 'textbox';
-        const inputClass = setting.inputCSSClass || 'usc-setting-input';
-
-        switch (type) {
-            case 'textbox':
-                const textInput = document.createElement('input');
-                textInput.type = 'text';
-                textInput.id = setting.id;
-                textInput.className = inputClass;
-                if (setting.placeholder) {
-                    textInput.placeholder = setting.placeholder;
-                }
-                textInput.addEventListener('input', () => this.handleInputChange(setting));
-                return textInput;
-            case 'password':
-                const passwordInput = document.createElement('input');
-                passwordInput.type = 'password';
-                passwordInput.id = setting.id;
-                passwordInput.className = inputClass;
-                passwordInput.addEventListener('input', () => this.handleInputChange(setting));
-                return passwordInput;
-            case 'checkbox':
-                const checkboxInput = document.createElement('input');
-                checkboxInput.type = 'checkbox';
-                checkboxInput.id = setting.id;
-                checkboxInput.className = inputClass;
-                checkboxInput.addEventListener('change', () => this.handleInputChange(setting));
-                return checkboxInput;
-            case 'radio':
-                const radioContainer = document.createElement('div');
-                radioContainer.className = 'usc-radio-group';
-
-                if (setting.options && Array.isArray(setting.options)) {
-                    setting.options.forEach(option => {
-                        const radioWrapper = document.createElement('div');
-                        radioWrapper.className = 'usc-radio-option';
+        if (!isEmpty) {
+            const fieldTypeError = this.getFieldTypeError(setting, value);
+            if (fieldTypeError) {
+                return fieldTypeError;
+            }
 
-                        const radioInput = document.createElement('input');
-                        radioInput.type = 'radio';
-                        radioInput.id = `${setting.id}-${option.value}`;
-                        radioInput.name = setting.groupName || setting.id;
-                        radioInput.value = option.value;
-                        radioInput.className = inputClass;
-                        radioInput.addEventListener('change', () => this.handleInputChange(setting));
+            if (Array.isArray(setting.oneOf) && !setting.oneOf.some(allowed => this.valuesEqual(allowed, value))) {
+                return this.getMessage('usc.notAllowed');
+            }
 
-                        const radioLabel = document.createElement('label');
-                        radioLabel.setAttribute('for', `${setting.id}-${option.value}`);
-                        radioLabel.textContent = option.text;
+            const length = (typeof value === 'string' || Array.isArray(value)) ? value.length : null;
+            const lengthUnit = setting.type === 'table' ? 'rows' : (Array.isArray(value) ? 'items' : 'characters');
+            if (length !== null && typeof setting.minLength === 'number' && length < setting.minLength) {
+                return this.getMessage(`usc.minLength.${lengthUnit}`, { count: setting.minLength });
+            }
+            if (length !== null && typeof setting.maxLength === 'number' && length > setting.maxLength) {
+                return this.getMessage(`usc.maxLength.${lengthUnit}`, { count: setting.maxLength });
+            }
 
-                        radioWrapper.appendChild(radioInput);
-                        radioWrapper.appendChild(radioLabel);
-                        radioContainer.appendChild(radioWrapper);
-                    });
+            if (Array.isArray(value) && setting.itemValidationRegex) {
+                const itemRegex = new RegExp(setting.itemValidationRegex);
+                const invalidItem = value.find(item => !itemRegex.test(item));
+                if (invalidItem !== undefined) {
+                    return `${this.translate(setting.itemErrorMessage) || this.getMessage('usc.invalidItem')}: ${invalidItem}`;
                 }
+            }
 
-                return radioContainer;
-            case 'dropdown':
-                const selectInput = document.createElement('select');
-                selectInput.id = setting.id;
-                selectInput.className = inputClass;
-                selectInput.addEventListener('change', () => this.handleInputChange(setting));
-
-                if (setting.options && Array.isArray(setting.options)) {
-                    setting.options.forEach(option => {
-                        const optionElement = document.createElement('option');
-                        optionElement.value = option.value;
-                        optionElement.textContent = option.text;
-                        selectInput.appendChild(optionElement);
-                    });
-                }
+            if (typeof value === 'number' && typeof setting.min === 'number' && value < setting.min) {
+                return this.getMessage('usc.min', { min: setting.min });
+            }
+            if (typeof value === 'number' && typeof setting.max === 'number' && value > setting.max) {
+                return this.getMessage('usc.max', { max: setting.max });
+            }
+        }
 
-                return selectInput;
-            default:
-                console.warn('Unrecognized type: ' + setting.type + ', cannot create input element');
-                return null;
+        if (setting.validationRegex && typeof value !== 'object' && !new RegExp(setting.validationRegex).test(value)) {
+            return this.translate(setting.errorMessage) || this.getMessage('usc.invalidInput');
         }
+
+        return null;
     }
 
     /**
-     * Sets the value of an input element
+     * Runs the `validate` function of a setting's field type, if it has one.
+     * It is only called for non-empty values.
+     * @param {Object} setting - The setting definition
+     * @param {any} value - The value
+     * @returns {string|null} An error message, or null if the value is valid
      */
-    setInputValue(setting, value) {
-        const type = setting.type || 'textbox';
-
-        switch (type) {
-            case 'textbox':
-            case 'password':
-                const textInput = document.getElementById(setting.id);
-                if (textInput) {
-                    textInput.value = value;
-                }
-                break;
+    getFieldTypeError(setting, value) {
+        const fieldType = this.getFieldType(setting.type);
+        if (!fieldType || typeof fieldType.validate !== 'function') {
+            return null;
+        }
 
-            case 'checkbox':
-                const checkboxInput = document.getElementById(setting.id);
-                if (checkboxInput) checkboxInput.checked = value === 'true' || value === true;
-                break;
+        return this.getCustomValidatorError(() => fieldType.validate(value, setting, this.getFieldContext(setting)), setting.errorMessage);
+    }
 
-            case 'radio':
-                const radioInputs = document.querySelectorAll(`input[name="${setting.groupName || setting.id}"]`);
-                radioInputs.forEach(radio => {
-                    radio.checked = radio.value === value;
-                });
-                break;
+    /**
+     * Turns the result of a custom validator into an error message. A validator
+     * returns a message (or `false`) when the value is invalid, and anything
+     * else when it is valid.
+     * @param {any} result - What the validator returned
+     * @param {string} [fallbackMessage] - Used when the validator returns `false`
+     * @returns {string|null} An error message, or null if the value is valid
+     */
+    toValidationError(result, fallbackMessage) {
+        // Validators may return a locale map or message key, like any other text
+        const message = result && typeof result === 'object' && typeof result.then !== 'function' ? this.translate(result) : result;
+        if (typeof message === 'string' && message) return message;
+        if (result === false) return this.translate(fallbackMessage) || this.getMessage('usc.invalidInput');
+        return null;
+    }
 
-            case 'dropdown':
-                const selectInput = document.getElementById(setting.id);
-                if (selectInput) selectInput.value = value || '';
-                break;
+    /**
+     * Runs a synchronous custom validator and turns its result into an error message
+     * @param {Function} runValidator - Calls the validator and returns its result
+     * @param {string} [fallbackMessage] - Used when the validator returns `false`
+     * @returns {string|null} An error message, or null if the value is valid
+     */
+    getCustomValidatorError(runValidator, fallbackMessage) {
+        try {
+            return this.toValidationError(runValidator(), fallbackMessage);
+        } catch (error) {
+            console.error('Error in custom validator:', error);
+            return error.message || this.translate(fallbackMessage) || this.getMessage('usc.invalidInput');
         }
     }
 
     /**
-     * Gets the current value of an input element
+     * Checks whether a number setting has no number, e.g. because its field was cleared
      */
-    getInputValue(setting) {
-        const type = setting.type || 'textbox';
-
-        switch (type) {
-            case 'textbox':
-            case 'password':
-                const textInput = document.getElementById(setting.id);
-                return textInput ? textInput.value : '';
+    isMissingNumber(setting, value) {
+        const valueType = this.getValueType(setting);
+        return (valueType === 'number' || valueType === 'integer') && (value === null || value === undefined);
+    }
 
-            case 'checkbox':
-                const checkboxInput = document.getElementById(setting.id);
-                return checkboxInput ? checkboxInput.checked : false;
+    /**
+     * Checks whether a value counts as "not filled in" for the `required` rule
+     */
+    isEmptyValue(setting, value) {
+        if (value === undefined || value === null || value === '') return true;
+        if (Array.isArray(value)) return value.length === 0;
+        // A required checkbox has to be checked
+        return this.getValueType(setting) === 'boolean' && value === false;
+    }
 
-            case 'radio':
-                const radioInputs = document.querySelectorAll(`input[name="${setting.groupName || setting.id}"]`);
-                for (const radio of radioInputs) {
-                    if (radio.checked) return radio.value;
+    /**
+     * Validates an input element, together with the config-level validators
+     * (`config.validators`) that involve it. A `validate` function returning a
+     * Promise is treated as an async validator: from then on it is debounced,
+     * the field shows a pending state while it runs, and results that arrive
+     * after the user typed again are ignored.
+     */
+    validateInput(setting) {
+        // Any check still running for this field is stale now
+        this.cancelAsyncValidation(setting.id);
+
+        // If it's disabled or hidden, we don't need to test it
+        const shouldValidate = !this.disabledFields.has(setting.id) && !this.isSettingHidden(setting);
+        const allValues = this.getDialogValues();
+        const value = allValues[setting.id];
+
+        let error = shouldValidate ? (this.getInputSyntaxError(setting) || this.getRuleError(setting, value, true)) : null;
+        if (!error && shouldValidate && typeof setting.validate === 'function') {
+            if (this.asyncValidatorIds.has(setting.id)) {
+                this.scheduleAsyncValidation(setting, value, allValues);
+            } else {
+                let result;
+                try {
+                    result = setting.validate(value, allValues);
+                } catch (validatorError) {
+                    console.error(`Error in custom validator for ${setting.id}:`, validatorError);
+                    result = validatorError.message || false;
                 }
-                return '';
 
-            case 'dropdown':
-                const selectInput = document.getElementById(setting.id);
-                return selectInput ? selectInput.value : '';
-
-            default:
-                return '';
+                if (result && typeof result.then === 'function') {
+                    this.asyncValidatorIds.add(setting.id);
+                    this.trackAsyncValidation(setting, result, this.startAsyncValidation(setting.id));
+                } else {
+                    error = this.toValidationError(result, setting.errorMessage);
+                }
+            }
         }
+        this.fieldErrors.set(setting.id, error);
+
+        const affectedIds = this.runCrossFieldValidators(setting.id, allValues);
+        affectedIds.add(setting.id);
+        affectedIds.forEach(id => {
+            const affectedSetting = this.getSettingById(id);
+            if (affectedSetting) {
+                this.renderValidationState(affectedSetting);
+            }
+        });
+
+        this.updateSaveButtonState();
+        return !this.fieldErrors.get(setting.id) && !this.crossFieldErrors.get(setting.id) && !this.pendingValidations.has(setting.id);
     }
 
     /**
-     * Sets up keyboard event handlers
+     * Checks whether the text in a `json` editor can be parsed
+     * @returns {string|null} The syntax error, with line and column, or null
      */
-    setupKeyboardHandlers() {
-        this.keyboardHandler = (e) => {
-            if (e.key === 'Escape') {
-                e.preventDefault();
-                this.handleCancel();
-            }
-        };
+    getInputSyntaxError(setting) {
+        if (setting.type !== 'json') return null;
 
-        document.addEventListener('keydown', this.keyboardHandler);
+        const jsonTextarea = this.getDialogElement(this.getDomId(setting.id));
+        if (!jsonTextarea || jsonTextarea.value.trim() === '') return null;
+        return this.getJsonSyntaxError(jsonTextarea.value);
     }
 
     /**
-     * Sets up conditional logic for enabledIf
+     * Marks an async validation of a field as pending
+     * @returns {number} Token identifying this validation run
      */
-    setupConditionalLogic() {
-        if (!this.config.settings) return;
-
-        this.config.settings.forEach(setting => {
-            if (setting.enabledIf) {
-                this.updateConditionalStateForSetting(setting);
-            }
-        });
-
-        // See if a group needs to expand or collapse
-        if (!this.hasValidGroups()) return;
-        this.config.groups.forEach(group => {
-            if (group.collapsedIf) {
-                // Format- `collapsedIf: { otherElementId: '<id>', value: <value> }`
-                const otherFieldValue = this.getFieldValue(group.collapsedIf.otherElementId);
-                this.setDialogGroupState(group.id, otherFieldValue !== group.collapsedIf.value);
-            }
-        });
+    startAsyncValidation(settingId) {
+        this.asyncValidationCounter = (this.asyncValidationCounter || 0) + 1;
+        this.pendingValidations.set(settingId, this.asyncValidationCounter);
+        return this.asyncValidationCounter;
     }
 
     /**
-     * Updates the enabled/disabled state based on conditional logic
+     * Runs an async validator after the field's debounce delay
+     * (`validationDebounce`, in milliseconds)
      */
-    updateConditionalStateForSetting(setting) {
-        if (!setting.enabledIf) return;
+    scheduleAsyncValidation(setting, value, allValues) {
+        const token = this.startAsyncValidation(setting.id);
+        const delay = typeof setting.validationDebounce === 'number' ? setting.validationDebounce : 300;
 
-        const dependentSetting = this.config.settings.find(s => s.id === setting.enabledIf.otherElementId);
-        if (!dependentSetting) return;
+        const timer = setTimeout(() => {
+            this.validationTimers.delete(setting.id);
+            if (this.pendingValidations.get(setting.id) !== token) return;
 
-        const dependentValue = this.getInputValue(dependentSetting);
-        const shouldEnable = dependentValue === setting.enabledIf.value;
-
-        const inputElement = this.getInputElementById(setting.id);
-        if (inputElement) {
-            inputElement.disabled = !shouldEnable;
-            if (!shouldEnable) {
-                // If disabling, reset to default value
-                this.setInputValue(setting, setting.defaultValue);
+            let result;
+            try {
+                result = setting.validate(value, allValues);
+            } catch (error) {
+                result = Promise.reject(error);
             }
-            this.validateInput(setting);
-        }
+            this.trackAsyncValidation(setting, Promise.resolve(result), token);
+        }, delay);
+        this.validationTimers.set(setting.id, timer);
     }
 
     /**
-     * Gets the input element by ID (handles radio groups)
+     * Applies the result of an async validator, unless a newer validation of
+     * the same field has started in the meantime
      */
-    getInputElementById(id) {
-        const element = document.getElementById(id);
-        if (element) return element;
-
-        // For radio groups, find the first radio button's parent (the usc-radio-group div)
-        const radioInputs = document.querySelectorAll(`input[id^="${id}-"]`);
-        if (radioInputs.length > 0) {
-            // Return the container of the radio group
-            return radioInputs[0].closest('.usc-radio-group');
-        }
-        return null;
+    trackAsyncValidation(setting, promise, token) {
+        promise
+            .then(result => this.toValidationError(result, setting.errorMessage))
+            .catch(error => {
+                console.error(`Error in custom validator for ${setting.id}:`, error);
+                return (error && error.message) || this.translate(setting.errorMessage) || this.getMessage('usc.invalidInput');
+            })
+            .then(error => {
+                if (this.pendingValidations.get(setting.id) !== token) return;
+
+                this.pendingValidations.delete(setting.id);
+                this.fieldErrors.set(setting.id, error);
+                this.renderValidationState(setting);
+                this.updateSaveButtonState();
+            });
     }
 
     /**
-     * Sets up validation state for all settings
+     * Cancels a pending (or scheduled) async validation of a field
      */
-    setupValidationState() {
-        if (!this.config.settings) return;
-
-        this.config.settings.forEach(setting => {
-            this.validationState.set(setting.id, true); // Start as valid
-        });
+    cancelAsyncValidation(settingId) {
+        if (this.validationTimers.has(settingId)) {
+            clearTimeout(this.validationTimers.get(settingId));
+            this.validationTimers.delete(settingId);
+        }
+        this.pendingValidations.delete(settingId);
     }
 
     /**
-     * Sets up validation for input elements
+     * Runs the config-level validators that involve the given setting.
+     * Format- `validators: [{ fields: ['<id>', ...], validate: (allValues) => <message or null> }]`
+     * An error is shown next to every listed field that is currently enabled and visible.
+     * @param {string} settingId - The setting that changed
+     * @param {Object} allValues - The current values of all settings
+     * @returns {Set<string>} The IDs of the fields whose cross-field error may have changed
      */
-    setupValidation() {
-        if (!this.config.settings) return;
+    runCrossFieldValidators(settingId, allValues) {
+        const affectedIds = new Set();
+        if (!Array.isArray(this.config.validators)) return affectedIds;
 
-        this.config.settings.forEach(setting => {
-            if (setting.validationRegex && (setting.type === 'textbox' || setting.type === 'password')) {
-                this.validateInput(setting);
+        const isActive = (id) => {
+            const setting = this.getSettingById(id);
+            return !!setting && !this.disabledFields.has(id) && !this.isSettingHidden(setting);
+        };
+
+        // Clear the errors of every field involved, then re-run all their validators
+        const involvedValidators = this.config.validators.filter(validator => Array.isArray(validator.fields) && validator.fields.includes(settingId));
+        involvedValidators.forEach(validator => validator.fields.forEach(id => affectedIds.add(id)));
+        affectedIds.forEach(id => this.crossFieldErrors.delete(id));
+
+        this.config.validators.forEach(validator => {
+            if (!Array.isArray(validator.fields) || !validator.fields.some(id => affectedIds.has(id))) return;
+
+            const activeFields = validator.fields.filter(isActive);
+            if (activeFields.length === 0 || typeof validator.validate !== 'function') return;
+
+            const error = this.getCustomValidatorError(() => validator.validate(allValues), validator.message);
+            if (error) {
+                activeFields.forEach(id => {
+                    if (!this.crossFieldErrors.has(id)) {
+                        this.crossFieldErrors.set(id, error);
+                    }
+                });
             }
         });
 
-        this.updateSaveButtonState();
+        return affectedIds;
     }
 
     /**
-     * Validates an input element
+     * Shows or hides the validation error of a setting in the dialog and
+     * records whether it is valid
      */
-    validateInput(setting) {
-        if (!setting.validationRegex) return true;
-        const inputElement = document.getElementById(setting.id);
-        const value = this.getInputValue(setting);
-        const regex = new RegExp(setting.validationRegex);
-
-        const isValid = regex.test(value) || inputElement.disabled /* if it's disabled, we don't need to test it */;
+    renderValidationState(setting) {
+        const error = this.fieldErrors.get(setting.id) || this.crossFieldErrors.get(setting.id) || null;
+        const isPending = !error && this.pendingValidations.has(setting.id);
+        const isValid = !error && !isPending;
 
         this.validationState.set(setting.id, isValid);
 
-        const errorElement = document.getElementById(`${setting.id}-error`);
+        const inputElement = this.getInputElementById(setting.id);
+        const errorElement = this.getDialogElement(this.getDomId(setting.id, 'error'));
 
         if (inputElement) {
             if (isValid) {
@@ -839,24 +5611,55 @@ class UserScriptConfig {
             } else {
                 inputElement.classList.add('usc-invalid-input');
             }
+
+            // Let assistive technology announce the error together with the input
+            const errorId = this.getDomId(setting.id, 'error');
+            const describedBy = (inputElement.getAttribute('aria-describedby') || '').split(/\s+/).filter(id => id && id !== errorId);
+            if (isValid) {
+                inputElement.removeAttribute('aria-invalid');
+            } else {
+                inputElement.setAttribute('aria-invalid', String(!isPending));
+                describedBy.push(errorId);
+            }
+            if (describedBy.length > 0) {
+                inputElement.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                inputElement.removeAttribute('aria-describedby');
+            }
         }
 
         if (errorElement) {
+            errorElement.textContent = isPending ? this.getMessage('usc.checking') : (error || '');
+            errorElement.classList.toggle('usc-validation-pending', isPending);
             errorElement.style.display = isValid ? 'none' : 'block';
         }
+    }
 
-        this.updateSaveButtonState();
-        return isValid;
+    /**
+     * Reads the current values of all settings from the open dialog
+     * @returns {Object} Values keyed by setting ID
+     */
+    getDialogValues() {
+        const values = {};
+        if (!this.config.settings) return values;
+
+        this.config.settings.forEach(setting => {
+            values[setting.id] = this.currentDialog ? this.getInputValue(setting) : this.values.get(setting.id);
+        });
+        return values;
     }
 
     /**
      * Updates the save button enabled/disabled state
      */
     updateSaveButtonState() {
+        this.updateTabValidityStates();
+
         const saveButton = this.currentDialog?.querySelector('.usc-save-button');
         if (!saveButton) return;
 
-        const allValid = Array.from(this.validationState.values()).every(valid => valid);
+        // Pending async validations count as invalid until they finish
+        const allValid = Array.from(this.validationState.values()).every(valid => valid) && this.pendingValidations.size === 0;
         saveButton.disabled = !allValid;
     }
 
@@ -864,43 +5667,72 @@ class UserScriptConfig {
      * Handles input change events
      */
     handleInputChange(setting) {
-        // Validate input if needed
-        if (setting.validationRegex && (setting.type === 'textbox' || setting.type === 'password')) {
-            this.validateInput(setting);
+        this.dirtyFields.add(setting.id);
+
+        // Edits made while the site scope is shown become overrides for that site
+        if (setting.scopable && this.dialogScope !== null) {
+            this.pendingOverrides.set(setting.id, this.getInputValue(setting));
+            this.updateScopeIndicators();
         }
 
-        // Update conditional logic for all settings
-        this.config.settings.forEach(s => {
-            if (s.enabledIf && s.enabledIf.otherElementId === setting.id) {
-                this.updateConditionalStateForSetting(s);
-            }
-        });
+        this.validateInput(setting);
+
+        this.updateDependentStates(setting);
+
+        // Execute onSettingChanged callback
+        if (this.callbacks.onSettingChanged && typeof this.callbacks.onSettingChanged === 'function') {
+            this.callbacks.onSettingChanged(setting.id, this.getInputValue(setting));
+        }
+    }
+
+    /**
+     * Re-evaluates the settings and groups whose state depends on the given setting
+     */
+    updateDependentStates(setting) {
+        // Collect every setting that depends on this one, directly or through a chain
+        const affectedIds = new Set([setting.id]);
+        const affectedSettings = [];
+        let hasAddedSettings = true;
+        while (hasAddedSettings) {
+            hasAddedSettings = false;
+            this.config.settings.forEach(s => {
+                if (!s.enabledIf || affectedIds.has(s.id)) return;
+                if (this.getConditionDependencies(s.enabledIf).some(id => affectedIds.has(id))) {
+                    affectedIds.add(s.id);
+                    affectedSettings.push(s);
+                    hasAddedSettings = true;
+                }
+            });
+        }
+
+        // Update conditional logic for the affected settings
+        this.updateConditionalStates(affectedSettings);
+
+        // Show or hide settings and groups
+        this.updateVisibilityStates();
 
         // See if a group needs to expand or collapse
         if (this.hasValidGroups()) {
             this.config.groups.forEach(group => {
-                if (group.collapsedIf && group.collapsedIf.otherElementId === setting.id) {
-                    // Format- `collapsedIf: { otherElementId: '<id>', value: <value> }`
-                    this.setDialogGroupState(group.id, this.getInputValue(setting) !== group.collapsedIf.value);
+                if (group.collapsedIf && this.getConditionDependencies(group.collapsedIf).some(id => affectedIds.has(id))) {
+                    this.setDialogGroupState(group.id, !this.evaluateCondition(group.collapsedIf, this.getDialogValueGetter()));
                 }
             });
         }
-
-        // Execute onSettingChanged callback
-        if (this.callbacks.onSettingChanged && typeof this.callbacks.onSettingChanged === 'function') {
-            this.callbacks.onSettingChanged(setting.id, this.getInputValue(setting));
-        }
     }
 
     /**
      * Handles save button click
      */
-    handleSave() {
+    async handleSave() {
         // First update the in-memory config
         // object from the dialog, and then write
         // to the storage.
+        const previousValues = this.getValueSnapshot();
         this.updateSettingsFromDialog();
-        this.writeToStorage();
+        await this.writeToStorage();
+
+        this.notifyValueChanges(previousValues, 'save');
 
         // Execute onSettingsSaved callback
         if (this.callbacks.onSettingsSaved && typeof this.callbacks.onSettingsSaved === 'function') {
@@ -922,14 +5754,19 @@ class UserScriptConfig {
      */
     closeDialog() {
         // Remove keyboard event handler
-        if (this.keyboardHandler) {
-            document.removeEventListener('keydown', this.keyboardHandler);
-            this.keyboardHandler = null;
-        }
+        this.removeKeyboardHandlers();
+        this.recordingHotkeyId = null;
 
-        if (this.currentDialog) {
-            this.currentDialog.remove();
-            this.currentDialog = null;
+        // Drop any async validations that are still running
+        Array.from(this.pendingValidations.keys()).forEach(id => this.cancelAsyncValidation(id));
+
+        this.removeDialogElements();
+
+        // Return the focus to the element that opened the dialog
+        const focusReturnElement = this.focusReturnElement;
+        this.focusReturnElement = null;
+        if (focusReturnElement && focusReturnElement.isConnected && typeof focusReturnElement.focus === 'function') {
+            focusReturnElement.focus();
         }
 
         // Execute onDialogClosed callback